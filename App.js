@@ -1,15 +1,38 @@
-import React, { useEffect } from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import React, { useState, useEffect } from 'react';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
-import { PaperProvider, MD3DarkTheme, MD3LightTheme } from 'react-native-paper';
+import { PaperProvider, MD3DarkTheme, MD3LightTheme, Text } from 'react-native-paper';
 import { StatusBar } from 'expo-status-bar';
-import { useColorScheme } from 'react-native';
+import { GestureHandlerRootView } from 'react-native-gesture-handler';
+import { useColorScheme, View, StyleSheet } from 'react-native';
+import * as Notifications from 'expo-notifications';
 
 import { initRatesDB } from './ratesService';
+import { startRateSync } from './backgroundSync';
+import { useTranslation } from './i18n';
+import './alertsService'; // registers the rate-alert listener
+import DashboardScreen from './screens/DashboardScreen';
 import ConverterScreen from './screens/ConverterScreen';
 import HistoryScreen from './screens/HistoryScreen';
+import HistoryEntryScreen from './screens/HistoryEntryScreen';
+import TrendsScreen from './screens/TrendsScreen';
+import ManageCurrenciesScreen from './screens/ManageCurrenciesScreen';
+import BackupScreen from './screens/BackupScreen';
+import AlertsScreen from './screens/AlertsScreen';
+import SettingsScreen from './screens/SettingsScreen';
+import BasketScreen from './screens/BasketScreen';
+import FeeProfilesScreen from './screens/FeeProfilesScreen';
+import RateDetailsScreen from './screens/RateDetailsScreen';
 
 const Stack = createNativeStackNavigator();
+const navigationRef = createNavigationContainerRef();
+
+// Rate-alert notifications carry { screen, from, to } — open that pair
+const openFromNotification = (response) => {
+  const data = response?.notification.request.content.data;
+  if (!data?.screen || !navigationRef.isReady()) return;
+  navigationRef.navigate(data.screen, { from: data.from, to: data.to });
+};
 
 // Custom brand theme
 const brandColor = '#E8352B'; // Madagascar flag red
@@ -36,34 +59,132 @@ export default function App() {
   const colorScheme = useColorScheme();
   const theme = colorScheme === 'dark' ? darkTheme : lightTheme;
 
+  // Runs the schema migrations synchronously before any screen touches the DB
+  const [dbError] = useState(() => {
+    try {
+      initRatesDB();
+      return null;
+    } catch (e) {
+      console.error(e);
+      return e;
+    }
+  });
+
+  // After initRatesDB — the language setting lives in the database
+  const t = useTranslation();
+
+  // Background / foreground / reconnect rate refresh
   useEffect(() => {
-    initRatesDB();
-  }, []);
+    if (dbError) return undefined;
+    return startRateSync();
+  }, [dbError]);
+
+  // Also covers the tap that cold-started the app (handled in onReady)
+  const lastNotification = Notifications.useLastNotificationResponse();
+  useEffect(() => {
+    openFromNotification(lastNotification);
+  }, [lastNotification]);
+
+  if (dbError) {
+    return (
+      <PaperProvider theme={theme}>
+        <View style={styles.errorRoot}>
+          <Text variant="titleMedium" style={styles.errorTitle}>
+            {t('app.dbErrorTitle')}
+          </Text>
+          <Text style={styles.errorText}>{dbError.message}</Text>
+          <Text style={styles.errorText}>{t('app.dbErrorHint')}</Text>
+        </View>
+      </PaperProvider>
+    );
+  }
 
   return (
-    <PaperProvider theme={theme}>
-      <NavigationContainer>
-        <Stack.Navigator
-          screenOptions={{
-            headerStyle: { backgroundColor: colorScheme === 'dark' ? '#1a1a2e' : brandColor },
-            headerTintColor: '#fff',
-            headerTitleStyle: { fontWeight: 'bold', fontSize: 20 },
-            headerTitleAlign: 'center',
-          }}
+    <GestureHandlerRootView style={{ flex: 1 }}>
+      <PaperProvider theme={theme}>
+        <NavigationContainer
+          ref={navigationRef}
+          onReady={() => openFromNotification(lastNotification)}
         >
-          <Stack.Screen
-            name="Converter"
-            component={ConverterScreen}
-            options={{ title: '🇲🇬 Manakalo' }}
-          />
-          <Stack.Screen
-            name="History"
-            component={HistoryScreen}
-            options={{ title: 'Conversion History' }}
-          />
-        </Stack.Navigator>
-      </NavigationContainer>
-      <StatusBar style="light" />
-    </PaperProvider>
+          <Stack.Navigator
+            initialRouteName="Dashboard"
+            screenOptions={{
+              headerStyle: { backgroundColor: colorScheme === 'dark' ? '#1a1a2e' : brandColor },
+              headerTintColor: '#fff',
+              headerTitleStyle: { fontWeight: 'bold', fontSize: 20 },
+              headerTitleAlign: 'center',
+            }}
+          >
+            <Stack.Screen
+              name="Dashboard"
+              component={DashboardScreen}
+              options={{ title: '🇲🇬 Manakalo' }}
+            />
+            <Stack.Screen
+              name="Converter"
+              component={ConverterScreen}
+              options={{ title: t('nav.converter') }}
+            />
+            <Stack.Screen
+              name="History"
+              component={HistoryScreen}
+              options={{ title: t('nav.history') }}
+            />
+            <Stack.Screen
+              name="HistoryEntry"
+              component={HistoryEntryScreen}
+              options={{ title: t('nav.historyEntry') }}
+            />
+            <Stack.Screen
+              name="Trends"
+              component={TrendsScreen}
+              options={{ title: t('nav.trends') }}
+            />
+            <Stack.Screen
+              name="ManageCurrencies"
+              component={ManageCurrenciesScreen}
+              options={{ title: t('nav.manageCurrencies') }}
+            />
+            <Stack.Screen
+              name="Backup"
+              component={BackupScreen}
+              options={{ title: t('nav.backup') }}
+            />
+            <Stack.Screen
+              name="Alerts"
+              component={AlertsScreen}
+              options={{ title: t('nav.alerts') }}
+            />
+            <Stack.Screen
+              name="Basket"
+              component={BasketScreen}
+              options={{ title: t('nav.basket') }}
+            />
+            <Stack.Screen
+              name="FeeProfiles"
+              component={FeeProfilesScreen}
+              options={{ title: t('nav.feeProfiles') }}
+            />
+            <Stack.Screen
+              name="RateDetails"
+              component={RateDetailsScreen}
+              options={{ title: t('nav.rateDetails') }}
+            />
+            <Stack.Screen
+              name="Settings"
+              component={SettingsScreen}
+              options={{ title: t('nav.settings') }}
+            />
+          </Stack.Navigator>
+        </NavigationContainer>
+        <StatusBar style="light" />
+      </PaperProvider>
+    </GestureHandlerRootView>
   );
 }
+
+const styles = StyleSheet.create({
+  errorRoot: { flex: 1, justifyContent: 'center', padding: 24 },
+  errorTitle: { fontWeight: 'bold', marginBottom: 12 },
+  errorText: { color: '#999', marginBottom: 8 },
+});
@@ -0,0 +1,88 @@
+/**
+ * ALERTS SERVICE
+ *
+ * Turns fired rate alerts (see evaluateRateAlerts in ratesService.js)
+ * into local notifications. Tapping one opens the converter on that pair.
+ *
+ *  - Listens to every fresh provider response via addLiveRatesListener,
+ *    including the ones fetched by the background task
+ *  - ensureNotificationPermission() is asked lazily, when the first
+ *    alert is created — not at app start
+ */
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+
+import { addLiveRatesListener, evaluateRateAlerts, formatAmount } from './ratesService';
+import { t } from './i18n';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+const ANDROID_CHANNEL_ID = 'rate-alerts';
+
+// Show alerts even while the app is open
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+// ─── Permissions ──────────────────────────────────────────────────────────────
+/**
+ * ensureNotificationPermission()
+ * @returns true if we may post notifications
+ */
+export const ensureNotificationPermission = async () => {
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync(ANDROID_CHANNEL_ID, {
+      name: t('notifications.channel'),
+      importance: Notifications.AndroidImportance.HIGH,
+    });
+  }
+
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) return true;
+  if (!current.canAskAgain) return false;
+  const requested = await Notifications.requestPermissionsAsync();
+  return requested.granted;
+};
+
+// ─── Notifications ────────────────────────────────────────────────────────────
+const describeAlert = (alert) => {
+  const pair = `${alert.from_currency} → ${alert.to_currency}`;
+  const rateText = `1 ${alert.from_currency} = ${formatAmount(alert.rate, alert.to_currency)} ${alert.to_currency}`;
+
+  if (alert.kind === 'change') {
+    const sign = alert.changePct >= 0 ? '+' : '';
+    return {
+      title: t('notifications.moved', { pair, change: `${sign}${alert.changePct.toFixed(2)}` }),
+      body: rateText,
+    };
+  }
+  return {
+    title: t(`notifications.${alert.kind}`, {
+      pair,
+      amount: formatAmount(alert.threshold, alert.to_currency),
+    }),
+    body: rateText,
+  };
+};
+
+const notifyFiredAlerts = async (rates) => {
+  const fired = evaluateRateAlerts(rates);
+  for (const alert of fired) {
+    await Notifications.scheduleNotificationAsync({
+      content: {
+        ...describeAlert(alert),
+        // Read back in App.js to open the converter on this pair
+        data: { screen: 'Converter', from: alert.from_currency, to: alert.to_currency },
+      },
+      trigger: Platform.OS === 'android' ? { channelId: ANDROID_CHANNEL_ID } : null,
+    });
+  }
+};
+
+// Subscribed at import time so headless background fetches are covered too
+addLiveRatesListener(notifyFiredAlerts);
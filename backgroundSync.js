@@ -0,0 +1,131 @@
+/**
+ * BACKGROUND SYNC
+ *
+ * Keeps the rates cache warm so the converter opens with fresh numbers
+ * even on a weak signal.
+ *
+ * Triggers:
+ *  - App comes to the foreground
+ *  - Periodic OS background task (expo-background-task, ~every hour)
+ *  - Connectivity returns after a refresh was skipped or failed
+ *
+ * Every trigger goes through refreshRates(), which checks expo-network
+ * first and does nothing while offline. getRates() itself decides whether
+ * the cache is stale enough to need the network.
+ */
+
+import { AppState } from 'react-native';
+import * as Network from 'expo-network';
+import * as TaskManager from 'expo-task-manager';
+import * as BackgroundTask from 'expo-background-task';
+
+import { getRates } from './ratesService';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+export const RATE_REFRESH_TASK = 'manakalo-rate-refresh';
+const BACKGROUND_INTERVAL_MINUTES = 60; // OS treats this as a minimum, not a schedule
+
+// ─── State ────────────────────────────────────────────────────────────────────
+let retryWhenOnline = false; // last attempt was skipped (offline) or failed
+let inFlight = null;         // shared promise so triggers don't overlap
+const listeners = new Set();
+
+/**
+ * onRatesRefreshed(listener)
+ * Called with the getRates() result after every refresh that fetched live.
+ * Returns an unsubscribe function.
+ */
+export const onRatesRefreshed = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const isOnline = async () => {
+  try {
+    const state = await Network.getNetworkStateAsync();
+    return !!state.isConnected && state.isInternetReachable !== false;
+  } catch (e) {
+    return true; // can't tell — let the fetch decide
+  }
+};
+
+// ─── Refresh ──────────────────────────────────────────────────────────────────
+/**
+ * refreshRates({ force })
+ * Runs getRates() if the device is online. Marks a retry for when
+ * connectivity returns if we're offline or the providers all failed.
+ * `force` fetches live even when the cache is still fresh.
+ *
+ * @returns the getRates() result, or null when skipped (offline)
+ */
+export const refreshRates = ({ force = false } = {}) => {
+  // A forced refresh waits for the one running, then fetches again
+  if (inFlight) return force ? inFlight.then(() => refreshRates({ force })) : inFlight;
+
+  inFlight = (async () => {
+    if (!(await isOnline())) {
+      retryWhenOnline = true;
+      return null;
+    }
+    const result = await getRates({ force });
+    retryWhenOnline = result.stale;
+    if (result.source === 'live') listeners.forEach((listener) => listener(result));
+    return result;
+  })().finally(() => {
+    inFlight = null;
+  });
+
+  return inFlight;
+};
+
+// ─── Background task ─────────────────────────────────────────────────────────
+// Must be defined at module scope so the OS can run it with the app closed
+TaskManager.defineTask(RATE_REFRESH_TASK, async () => {
+  try {
+    const result = await refreshRates();
+    return result && !result.stale
+      ? BackgroundTask.BackgroundTaskResult.Success
+      : BackgroundTask.BackgroundTaskResult.Failed;
+  } catch (e) {
+    console.warn('Background rate refresh failed:', e);
+    return BackgroundTask.BackgroundTaskResult.Failed;
+  }
+});
+
+const registerBackgroundTask = async () => {
+  try {
+    const status = await BackgroundTask.getStatusAsync();
+    if (status !== BackgroundTask.BackgroundTaskStatus.Available) return;
+    if (await TaskManager.isTaskRegisteredAsync(RATE_REFRESH_TASK)) return;
+    await BackgroundTask.registerTaskAsync(RATE_REFRESH_TASK, {
+      minimumInterval: BACKGROUND_INTERVAL_MINUTES,
+    });
+  } catch (e) {
+    console.warn('Background task registration failed:', e);
+  }
+};
+
+// ─── Foreground wiring ───────────────────────────────────────────────────────
+/**
+ * startRateSync()
+ * Call once after initRatesDB(). Registers the periodic task and the
+ * foreground / connectivity listeners. Returns a cleanup function.
+ */
+export const startRateSync = () => {
+  registerBackgroundTask();
+
+  const appStateSub = AppState.addEventListener('change', (state) => {
+    if (state === 'active') refreshRates();
+  });
+
+  const networkSub = Network.addNetworkStateListener((state) => {
+    if (retryWhenOnline && state.isConnected && state.isInternetReachable !== false) {
+      refreshRates();
+    }
+  });
+
+  return () => {
+    appStateSub.remove();
+    networkSub.remove();
+  };
+};
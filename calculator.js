@@ -0,0 +1,143 @@
+/**
+ * CALCULATOR
+ *
+ * Lets the amount field take arithmetic like "250*12" or "1500+320-75".
+ *
+ *  - formatExpressionInput() → cleans what the user typed, grouping each
+ *    number for the chosen locale (see parseAmountInput in ratesService.js)
+ *  - evaluateExpression()    → computes the value with a small
+ *    recursive-descent parser — never eval() — in exact decimals
+ *    (see decimal.js), so "0.1+0.2" is 0.3
+ *
+ * Grammar (usual precedence, left to right):
+ *   expression := term (('+' | '-') term)*
+ *   term       := factor (('*' | '/') factor)*
+ *   factor     := ('+' | '-') factor | number | '(' expression ')'
+ */
+
+import { parseAmountInput } from './ratesService';
+import { toDecimal, toNumber, add, subtract, multiply, divide, negate } from './decimal';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+// What the user may type → the operator used in `raw`
+const OPERATOR_INPUT = {
+  '+': '+',
+  '-': '-',
+  '−': '-',
+  '*': '*',
+  '×': '*',
+  'x': '*',
+  'X': '*',
+  '/': '/',
+  '÷': '/',
+  '(': '(',
+  ')': ')',
+};
+
+// How each operator is shown in the amount field
+const OPERATOR_DISPLAY = { '+': '+', '-': '−', '*': '×', '/': '÷', '(': '(', ')': ')' };
+
+// Decimal places kept by a division — well past any currency's minor units
+const DIVISION_PLACES = 12;
+
+// ─── Input formatting ─────────────────────────────────────────────────────────
+/**
+ * formatExpressionInput(text)
+ * Splits the text on operators and runs each number through parseAmountInput:
+ *   fr-MG "1500,5×2" → { raw: '1500.5*2', formatted: '1 500,5×2' }
+ * A plain number comes back exactly as parseAmountInput returns it.
+ */
+export const formatExpressionInput = (text) => {
+  const raw = [];
+  const formatted = [];
+  let number = '';
+
+  const flushNumber = () => {
+    if (!number) return;
+    const parsed = parseAmountInput(number);
+    raw.push(parsed.raw);
+    formatted.push(parsed.formatted);
+    number = '';
+  };
+
+  for (const ch of text) {
+    const op = OPERATOR_INPUT[ch];
+    if (op) {
+      flushNumber();
+      raw.push(op);
+      formatted.push(OPERATOR_DISPLAY[op]);
+    } else {
+      number += ch;
+    }
+  }
+  flushNumber();
+
+  return { raw: raw.join(''), formatted: formatted.join('') };
+};
+
+// True when `raw` holds more than a single number
+export const isExpression = (raw) => /[-+*/()]/.test(raw);
+
+// ─── Evaluation ───────────────────────────────────────────────────────────────
+const tokenize = (raw) => raw.match(/\d+\.?\d*|\.\d+|[-+*/()]/g) ?? [];
+
+/**
+ * evaluateExpression(raw)
+ * @param raw  the `raw` string from formatExpressionInput (ASCII operators, "." decimals)
+ * @returns the value as a number, or null if the expression is empty,
+ *          malformed or divides by zero
+ *
+ * Forgiving while typing: a trailing operator is ignored and missing
+ * closing brackets are added, so "250*" → 250 and "(2+3" → 5.
+ */
+export const evaluateExpression = (raw) => {
+  const tokens = tokenize(raw);
+  while (tokens.length && /^[-+*/(]$/.test(tokens[tokens.length - 1])) tokens.pop();
+  const open = tokens.filter((tok) => tok === '(').length - tokens.filter((tok) => tok === ')').length;
+  for (let i = 0; i < open; i += 1) tokens.push(')');
+  if (!tokens.length) return null;
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  const parseFactor = () => {
+    const tok = next();
+    if (tok === '+') return parseFactor();
+    if (tok === '-') return negate(parseFactor());
+    if (tok === '(') {
+      const value = parseExpression();
+      if (next() !== ')') throw new Error('Unbalanced brackets');
+      return value;
+    }
+    if (!/^[\d.]+$/.test(tok ?? '')) throw new Error(`Unexpected ${tok ?? 'end'}`);
+    return toDecimal(tok);
+  };
+
+  const parseTerm = () => {
+    let value = parseFactor();
+    while (peek() === '*' || peek() === '/') {
+      const op = next();
+      const rhs = parseFactor();
+      value = op === '*' ? multiply(value, rhs) : divide(value, rhs, DIVISION_PLACES);
+    }
+    return value;
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      const op = next();
+      const rhs = parseTerm();
+      value = op === '+' ? add(value, rhs) : subtract(value, rhs);
+    }
+    return value;
+  };
+
+  try {
+    const value = toNumber(parseExpression());
+    return pos === tokens.length && Number.isFinite(value) ? value : null;
+  } catch (e) {
+    return null;
+  }
+};
@@ -0,0 +1,110 @@
+/**
+ * DECIMAL
+ *
+ * Exact base-10 arithmetic for money, so conversions don't pick up binary
+ * floating-point drift (0.1 + 0.2, or a large Ariary amount through a
+ * cross rate).
+ *
+ *  - A value is { n, s }: the BigInt `n` scaled down by 10^s,
+ *    e.g. 1234.5 → { n: 12345n, s: 1 }
+ *  - add / subtract / multiply are exact; divide and roundTo round to the
+ *    number of places asked for, half away from zero (like banks and
+ *    Intl.NumberFormat)
+ *
+ * Numbers are read through their shortest decimal form (String(0.1) is
+ * "0.1"), so a rate parsed from the provider's JSON is used exactly as the
+ * provider published it.
+ */
+
+const pow10 = (places) => 10n ** BigInt(places);
+
+// ─── Conversion ──────────────────────────────────────────────────────────────
+/**
+ * toDecimal(value)
+ * @param value  a number, a numeric string ("1234.5", "1e-7") or a decimal
+ * @throws when the value is not a finite number
+ */
+export const toDecimal = (value) => {
+  if (typeof value === 'object' && value !== null) return value;
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(value).trim());
+  if (!match || !(match[2] || match[3])) throw new Error(`Not a decimal number: ${value}`);
+
+  const [, sign, intPart, fracPart = '', exponent = '0'] = match;
+  const digits = BigInt(`${intPart}${fracPart}` || '0');
+  const scale = fracPart.length - Number(exponent);
+  const n = scale < 0 ? digits * pow10(-scale) : digits;
+  return { n: sign === '-' ? -n : n, s: Math.max(scale, 0) };
+};
+
+// "1234.50" — never in exponent notation
+export const toDecimalString = ({ n, s }) => {
+  const digits = (n < 0n ? -n : n).toString().padStart(s + 1, '0');
+  const intPart = digits.slice(0, digits.length - s);
+  const fracPart = digits.slice(digits.length - s);
+  return `${n < 0n ? '-' : ''}${intPart}${s ? `.${fracPart}` : ''}`;
+};
+
+export const toNumber = (value) => Number(toDecimalString(value));
+
+// ─── Arithmetic ──────────────────────────────────────────────────────────────
+// Both values brought to the larger scale
+const align = (a, b) => {
+  const s = Math.max(a.s, b.s);
+  return [a.n * pow10(s - a.s), b.n * pow10(s - b.s), s];
+};
+
+// num / den as an integer, rounded half away from zero
+const divideRounded = (num, den) => {
+  if (den === 0n) throw new Error('Division by zero');
+  if (den < 0n) return divideRounded(-num, -den);
+  const quotient = num / den;
+  const remainder = num % den;
+  const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+  if (twice < den) return quotient;
+  return num < 0n ? quotient - 1n : quotient + 1n;
+};
+
+export const add = (a, b) => {
+  const [x, y, s] = align(toDecimal(a), toDecimal(b));
+  return { n: x + y, s };
+};
+
+export const subtract = (a, b) => {
+  const [x, y, s] = align(toDecimal(a), toDecimal(b));
+  return { n: x - y, s };
+};
+
+export const multiply = (a, b) => {
+  const x = toDecimal(a);
+  const y = toDecimal(b);
+  return { n: x.n * y.n, s: x.s + y.s };
+};
+
+export const negate = (a) => {
+  const x = toDecimal(a);
+  return { n: -x.n, s: x.s };
+};
+
+// -1, 0 or 1 as a is below, equal to or above b
+export const compare = (a, b) => {
+  const [x, y] = align(toDecimal(a), toDecimal(b));
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+/**
+ * divide(a, b, places)
+ * a ÷ b rounded to `places` decimal places.
+ * @throws when b is zero
+ */
+export const divide = (a, b, places) => {
+  const x = toDecimal(a);
+  const y = toDecimal(b);
+  // (x.n / 10^x.s) / (y.n / 10^y.s), scaled up by 10^places
+  return { n: divideRounded(x.n * pow10(y.s + places), y.n * pow10(x.s)), s: places };
+};
+
+export const roundTo = (a, places) => {
+  const x = toDecimal(a);
+  if (x.s <= places) return { n: x.n * pow10(places - x.s), s: places };
+  return { n: divideRounded(x.n, pow10(x.s - places)), s: places };
+};
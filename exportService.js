@@ -0,0 +1,112 @@
+/**
+ * EXPORT SERVICE
+ *
+ * Turns app data into files and hands them to the native share sheet
+ * (mail, Drive, WhatsApp…).
+ *
+ *  - serializeHistory() → CSV or JSON text for conversion_history rows
+ *                         (notes and tags included)
+ *  - shareTextFile()    → writes the text to the cache dir, opens share sheet
+ *  - pickTextFile()     → lets the user choose a file and reads it back
+ */
+
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import { parseHistoryTags } from './ratesService';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+export const EXPORT_FORMATS = {
+  csv:  { extension: 'csv',  mimeType: 'text/csv',         uti: 'public.comma-separated-values-text' },
+  json: { extension: 'json', mimeType: 'application/json', uti: 'public.json' },
+};
+
+// Columns written for each history row, in order
+const HISTORY_COLUMNS = [
+  'from_currency',
+  'to_currency',
+  'amount',
+  'result',
+  'rate',
+  'converted_at',
+  'rate_overridden',
+  'starred',
+  'expression',
+  'label',
+  'note',
+  'tags',
+];
+
+// ─── Serialisation ────────────────────────────────────────────────────────────
+// RFC 4180: quote fields containing commas, quotes or line breaks
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * serializeHistory(rows, format)
+ * @param format 'csv' | 'json'
+ */
+export const serializeHistory = (rows, format) => {
+  const records = rows.map((row) => {
+    const record = {};
+    HISTORY_COLUMNS.forEach((col) => { record[col] = row[col]; });
+    record.tags = parseHistoryTags(row);
+    return record;
+  });
+
+  if (format === 'json') return JSON.stringify(records, null, 2);
+
+  // One CSV field: "supplier; china"
+  records.forEach((record) => { record.tags = record.tags.join('; '); });
+
+  const lines = [HISTORY_COLUMNS.join(',')];
+  records.forEach((record) => {
+    lines.push(HISTORY_COLUMNS.map((col) => csvField(record[col])).join(','));
+  });
+  return lines.join('\r\n');
+};
+
+// ─── Sharing ──────────────────────────────────────────────────────────────────
+/**
+ * shareTextFile(baseName, content, format)
+ * Writes `content` to <cache>/<baseName>.<ext> and opens the share sheet.
+ * Throws if sharing is unavailable on this device.
+ */
+export const shareTextFile = async (baseName, content, format) => {
+  const { extension, mimeType, uti } = EXPORT_FORMATS[format];
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const file = new File(Paths.cache, `${baseName}.${extension}`);
+  if (file.exists) file.delete();
+  file.create();
+  file.write(content);
+
+  await Sharing.shareAsync(file.uri, { mimeType, UTI: uti, dialogTitle: baseName });
+  return file.uri;
+};
+
+// ─── Importing ────────────────────────────────────────────────────────────────
+/**
+ * pickTextFile(mimeTypes)
+ * Opens the system file picker and returns { name, content },
+ * or null if the user cancelled.
+ */
+export const pickTextFile = async (mimeTypes = ['application/json', 'text/plain']) => {
+  const picked = await DocumentPicker.getDocumentAsync({
+    type: mimeTypes,
+    copyToCacheDirectory: true,
+  });
+  if (picked.canceled) return null;
+
+  const asset = picked.assets[0];
+  return { name: asset.name, content: await new File(asset.uri).text() };
+};
+
+// Date stamp for file names: "2025-03-14"
+export const fileDateStamp = () => new Date().toISOString().slice(0, 10);
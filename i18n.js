@@ -0,0 +1,107 @@
+/**
+ * I18N
+ *
+ * Small translation layer for the UI.
+ *
+ *  - Catalogues live in locales/ (Malagasy, French, English); English
+ *    fills in any key a catalogue is missing
+ *  - The language follows the phone (expo-localization) unless the user
+ *    picks one in Settings — stored as the `language` app setting
+ *  - t('history.count', { count: 3 }) fills {placeholders} and picks the
+ *    _one / _other plural variant when `count` is given
+ *  - Components call useTranslation() so they re-render on a language change
+ */
+
+import { useSyncExternalStore } from 'react';
+import { getLocales } from 'expo-localization';
+
+import { getSetting, setSetting, getCurrencyInfo } from './ratesService';
+import mg from './locales/mg';
+import fr from './locales/fr';
+import en from './locales/en';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+// Labels are written in their own language on purpose
+export const LANGUAGES = [
+  { code: 'mg', label: 'Malagasy' },
+  { code: 'fr', label: 'Français' },
+  { code: 'en', label: 'English' },
+];
+
+const CATALOGUES = { mg, fr, en };
+const FALLBACK_LANGUAGE = 'en';
+
+// ─── Current language ─────────────────────────────────────────────────────────
+const deviceLanguage = () => {
+  const code = getLocales()[0]?.languageCode;
+  return CATALOGUES[code] ? code : FALLBACK_LANGUAGE;
+};
+
+// Resolved on first use — the database is not open yet at import time
+let language = null;
+const listeners = new Set();
+
+export const getLanguage = () => {
+  if (!language) language = getSetting('language') ?? deviceLanguage();
+  return language;
+};
+
+/**
+ * setLanguage(code)
+ * @param code  one of LANGUAGES, or null to follow the phone again
+ */
+export const setLanguage = (code) => {
+  setSetting('language', code);
+  reloadLanguage();
+};
+
+// Re-reads the `language` setting — after a backup restore replaced it
+export const reloadLanguage = () => {
+  language = null;
+  listeners.forEach((listener) => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// ─── Lookup ───────────────────────────────────────────────────────────────────
+const lookup = (catalogue, key) =>
+  key.split('.').reduce((node, part) => node?.[part], catalogue);
+
+// French counts 0 as singular; Malagasy has no plural, so mg.js skips the variants
+const pluralForm = (lang, count) =>
+  (lang === 'fr' ? count <= 1 : count === 1) ? 'one' : 'other';
+
+/**
+ * t(key, params)
+ * @param key     dotted path into the catalogue, e.g. 'converter.enterAmount'
+ * @param params  values for {placeholders}; `count` also selects the plural form
+ * @returns the translated string, or the key itself if no catalogue has it
+ */
+export const t = (key, params = {}) => {
+  const lang = getLanguage();
+  const keys = params.count == null ? [key] : [`${key}_${pluralForm(lang, params.count)}`, key];
+
+  let template = key;
+  for (const catalogue of [CATALOGUES[lang], CATALOGUES[FALLBACK_LANGUAGE]]) {
+    const found = keys.map((k) => lookup(catalogue, k)).find((v) => typeof v === 'string');
+    if (found !== undefined) {
+      template = found;
+      break;
+    }
+  }
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match).toString());
+};
+
+// Currency names, falling back to the English ones in CURRENCY_INFO
+export const currencyName = (code) =>
+  lookup(CATALOGUES[getLanguage()], `currencyNames.${code}`) ?? getCurrencyInfo(code).name;
+
+// ─── React hook ───────────────────────────────────────────────────────────────
+// Returns t and re-renders the calling component when the language changes
+export const useTranslation = () => {
+  useSyncExternalStore(subscribe, getLanguage);
+  return t;
+};
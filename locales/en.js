@@ -0,0 +1,408 @@
+/**
+ * English catalogue — also the fallback for keys missing elsewhere.
+ * Placeholders are {name}; keys ending in _one / _other are plural forms
+ * picked by t() from `count` (see i18n.js).
+ */
+
+export default {
+  common: {
+    cancel: 'Cancel',
+    save: 'Save',
+    remove: 'Remove',
+    close: 'Close',
+    from: 'From',
+    to: 'To',
+  },
+
+  nav: {
+    converter: 'Converter',
+    history: 'Conversion History',
+    trends: 'Rate Trends',
+    manageCurrencies: 'Manage Currencies',
+    backup: 'Backup & Restore',
+    alerts: 'Rate Alerts',
+    settings: 'Settings',
+    basket: 'Basket',
+    feeProfiles: 'Fee Profiles',
+    rateDetails: 'Rate Details',
+    historyEntry: 'Conversion',
+  },
+
+  app: {
+    dbErrorTitle: 'Manakalo could not open its database',
+    dbErrorHint: 'The failed update was rolled back. Please update the app or contact support.',
+  },
+
+  dashboard: {
+    favorites: 'Favorite pairs',
+    emptyTitle: 'No favorite pairs yet',
+    emptySubtitle: 'Pin a pair from the converter to watch it here',
+    openConverter: 'Open converter',
+    converter: 'Converter',
+    unpinned: 'Unpinned {pair}',
+    loadFailed: 'Could not load rates',
+    ratesUnavailable: 'Rates unavailable',
+    pullToRetry: 'The saved rates could not be read — pull down to retry',
+  },
+
+  converter: {
+    loading: 'Fetching exchange rates…',
+    ratesUpdated: '✅ Rates updated!',
+    usingCache: '⚠️ Using cached rates — no internet',
+    loadFailed: 'Could not load rates',
+    noRate: 'No current rate for {from} → {to}',
+    pinned: '📌 Pinned {pair} to the dashboard',
+    pinErrors: {
+      samePair: 'Pick two different currencies to pin a pair',
+    },
+    unpinned: '📌 Unpinned {pair}',
+    live: 'Live · {provider}',
+    cached: 'Cached · {minutes}m ago',
+    fallback: 'Offline — fallback rates',
+    fallbackWarning_one:
+      "⚠️ Offline rates from {date} ({count} day old). They can be far from today's — connect to the internet to refresh, or import fallback rates from another phone in Rate Details.",
+    fallbackWarning_other:
+      "⚠️ Offline rates from {date} ({count} days old). They can be far from today's — connect to the internet to refresh, or import fallback rates from another phone in Rate Details.",
+    officialRate: 'Official rate',
+    streetSpread: 'Street rate · {spread}%',
+    streetFixed: 'Street rate · fixed',
+    amountIn: 'Amount in {currency}',
+    swap: 'Swap',
+    round: 'Round',
+    street: 'Street',
+    enterAmount: 'Type an amount in either field',
+    invalidExpression: "Can't calculate this — check the operators",
+    equals: '{amount} {currency} equals',
+    menu: {
+      trends: 'Rate trends',
+      alerts: 'Rate alerts',
+      currencies: 'Manage currencies',
+      backup: 'Backup & restore',
+      settings: 'Settings',
+      basket: 'Basket',
+    },
+  },
+
+  override: {
+    title: 'Street rate · {from} → {to}',
+    fixed: 'Fixed rate',
+    spread: '% spread',
+    spreadLabel: 'Spread in % (e.g. 3 or -1.5)',
+    invalidValue: 'Enter a number, e.g. 5200 or 5 200,50',
+    official: 'Official: {rate}',
+    errors: {
+      unknownMode: 'Unknown override mode: {mode}',
+      rateNotPositive: 'The rate must be greater than 0',
+      spreadTooLow: 'The spread must be above -100 %',
+    },
+  },
+
+  history: {
+    count_one: '{count} conversion',
+    count_other: '{count} conversions',
+    search: 'Search by amount',
+    ranges: {
+      all: 'All time',
+      today: 'Today',
+      week: '7 days',
+      month: '30 days',
+    },
+    retention: {
+      title: 'History Retention',
+      count: 'Keep the last {value} conversions',
+      age: 'Keep {value} days',
+      year: 'Keep 1 year',
+      unlimited: 'Keep everything',
+      keepingCount: 'Keeping the last {value}',
+      keepingAge: 'Keeping {value} days',
+      keepingAll: 'Keeping everything',
+      note: 'Older entries are removed the next time the app starts. Starred entries are always kept.',
+    },
+    noMatches: 'No matches',
+    emptyTitle: 'No history yet',
+    noMatchesHint: 'Try another amount, pair or date range',
+    emptyHint: 'Your conversions will appear here',
+    streetRate: ' · street rate',
+    starred: 'Starred',
+    clearTitle: 'Clear History',
+    clearBody: 'This will delete all conversion history. Continue?',
+    clear: 'Clear',
+    exportTitle: 'Export History',
+    exportFiltered_one: 'Exports the {count} conversion matching the current filters.',
+    exportFiltered_other: 'Exports the {count} conversions matching the current filters.',
+    exportAll_one: 'Exports {count} conversion.',
+    exportAll_other: 'Exports all {count} conversions.',
+    exportFailed: 'Export failed: {message}',
+  },
+
+  trends: {
+    days: '{days} days',
+    title: '1 {from} in {to} · last {days} days',
+    notEnough: 'Not enough rate snapshots yet — trends build up as live rates are fetched.',
+    first: 'First',
+    latest: 'Latest',
+    low: 'Low',
+    high: 'High',
+    change: 'Change',
+  },
+
+  currencies: {
+    minEnabled: 'Keep at least {count} currencies',
+    search: 'Add a currency (e.g. MUR, KMF)',
+    shown: 'Shown in the converter',
+  },
+
+  backup: {
+    tables: {
+      conversion_history: 'Conversions',
+      rate_snapshots: 'Rate snapshots',
+      rates_cache: 'Cached rates',
+      currencies: 'Enabled currencies',
+      rate_overrides: 'Street-rate overrides',
+      app_settings: 'Settings',
+      rate_alerts: 'Rate alerts',
+      favorite_pairs: 'Favorite pairs',
+      baskets: 'Baskets',
+      fee_profiles: 'Fee profiles',
+      fallback_rates: 'Fallback rates',
+      historical_rates: 'Past-date rates',
+    },
+    backupFailed: 'Backup failed: {message}',
+    invalidJson: 'This file is not valid JSON',
+    restored_one: '✅ Restored {count} record',
+    restored_other: '✅ Restored {count} records',
+    restoreFailed: 'Restore failed: {message}',
+    backUp: 'Back up',
+    backUpBody:
+      'Saves your history, cached rates, currencies, street rates, alerts, favorite pairs and settings to a single file you can keep in Drive, e-mail to yourself or send to another phone.',
+    backUpNow: 'Back up now',
+    restore: 'Restore',
+    restoreBody: 'Open a Manakalo backup file. You can merge it with what is on this phone or replace everything.',
+    choose: 'Choose backup file',
+    restoreTitle: 'Restore Backup',
+    created: 'Created {date}',
+    mergeNote: 'Merge keeps your current data and adds what is missing. Replace deletes it first.',
+    replace: 'Replace',
+    merge: 'Merge',
+    errors: {
+      notBackup: 'This file is not a Manakalo backup',
+      noSchemaVersion: 'The backup has no valid schema version',
+      newerSchema: 'This backup is from a newer app version (schema {version}, this app supports {supported}). Update the app first.',
+      unknownTable: 'Unknown table in the backup: {table}',
+      notRowList: 'Table {table} is not a list of rows',
+      unknownColumns: 'Unknown column(s) in {table}: {columns}',
+    },
+  },
+
+  alerts: {
+    describeChange: '{pair} moves more than {threshold}% in 24 h',
+    describeAbove: '1 {from} above {amount}',
+    describeBelow: '1 {from} below {amount}',
+    lastFired: 'Last fired {date}',
+    notFired: 'Not fired yet',
+    newAlert: 'New alert',
+    above: 'Above',
+    below: 'Below',
+    move: '% move',
+    moveLabel: 'Move in % over 24 h (e.g. 2)',
+    invalidThreshold: 'Enter a number greater than 0',
+    permissionDenied: 'Notifications are turned off for Manakalo — enable them in system settings to receive alerts.',
+    add: 'Add alert',
+    empty: 'No alerts yet',
+    errors: {
+      unknownKind: 'Unknown alert kind: {kind}',
+      samePair: 'Pick two different currencies',
+      thresholdNotPositive: 'The threshold must be greater than 0',
+    },
+  },
+
+  notifications: {
+    channel: 'Rate alerts',
+    moved: '{pair} moved {change}% in 24 h',
+    above: '{pair} is above {amount}',
+    below: '{pair} is below {amount}',
+  },
+
+  basket: {
+    totalIn: 'Total in',
+    lineCount_one: '{count} line',
+    lineCount_other: '{count} lines',
+    addLine: 'Add a line',
+    label: 'Label (optional)',
+    add: 'Add line',
+    lines: 'Lines',
+    empty: 'No lines yet — add what you are buying above',
+    clear: 'Clear',
+    save: 'Save basket',
+    saveTitle: 'Save Basket',
+    name: 'Name (e.g. Guangzhou order)',
+    saved: 'Saved “{name}”',
+    saveFailed: 'Could not save: {message}',
+    unconverted_one: '{count} line has no rate into {currency} — remove it to save the basket',
+    unconverted_other: '{count} lines have no rate into {currency} — remove them to save the basket',
+    savedBaskets: 'Saved baskets',
+    noSaved: 'No saved baskets',
+    loaded: 'Opened “{name}” at today’s rates',
+    ratesUnavailable: 'Rates unavailable — the saved rates could not be read.',
+    retry: 'Retry',
+    errors: {
+      noName: 'Give the basket a name',
+      noLines: 'Add at least one line',
+    },
+  },
+
+  fees: {
+    none: 'No fees',
+    badge: 'Fees: {name}',
+    manage: 'Manage fee profiles',
+    gross: 'Sent',
+    fees: 'Fees',
+    net: 'Received',
+    solve: 'Recipient should get…',
+    solveTitle: 'Amount to receive',
+    solveLabel: 'Recipient gets ({currency})',
+    solveApply: 'Calculate',
+    solveHint: 'Works out how much to send with {profile} fees.',
+    noRate: 'No current rate for {currency}, the currency of the {name} fees',
+  },
+
+  feeProfiles: {
+    summary: '{fixed} + {percent}%',
+    min: 'min {value}',
+    max: 'max {value}',
+    edit: 'Edit profile',
+    new: 'New fee profile',
+    name: 'Name (e.g. MVola)',
+    currency: 'Fees are charged in',
+    fixed: 'Fixed fee',
+    percent: 'Percentage %',
+    minLabel: 'Minimum fee',
+    maxLabel: 'Maximum fee',
+    update: 'Update profile',
+    add: 'Add profile',
+    empty: 'No fee profiles yet',
+    errors: {
+      noName: 'Give the profile a name',
+      negativeFee: 'Fees cannot be negative',
+      percentTooHigh: 'The percentage fee must be below 100',
+      minAboveMax: 'The minimum fee is above the maximum',
+    },
+  },
+
+  rateDetails: {
+    providers: 'Provider',
+    noProvider: 'No provider has answered yet — built-in fallback rates are in use',
+    published: 'Published {date}',
+    noTimestamp: 'This provider gives no publish time',
+    device: 'This phone',
+    fetchedAt: 'Fetched',
+    cache: 'Cache',
+    noCache: 'Empty',
+    invalidated: 'Invalidated — refetched on next use',
+    freshUntil: 'Fresh until {date}',
+    expiredAt: 'Expired {date}',
+    lastAttempt: 'Last fetch attempt',
+    lastError: 'Last fetch error',
+    noError: 'None',
+    never: 'Never',
+    minutesAgo: '{count} min ago',
+    hoursAgo: '{count} h ago',
+    daysAgo: '{count} d ago',
+    minutesAhead: 'in {count} min',
+    hoursAhead: 'in {count} h',
+    daysAhead: 'in {count} d',
+    invalidate: 'Invalidate cache',
+    refresh: 'Force refresh',
+    offline: 'Offline — nothing was fetched',
+    refreshed: '✅ Fresh rates fetched',
+    refreshFailed: 'Every provider failed — see the last fetch error',
+    invalidatedToast: 'Cache invalidated',
+    rawRates: 'Raw rates · units per 1 USD',
+    search: 'Filter by code or name',
+    noRates: 'No rates to show',
+    fallback: 'Offline fallback',
+    fallbackAsOf: 'Rates as of',
+    fallbackSource: 'Source',
+    fallbackBundled: 'Bundled with the app',
+    fallbackImported: 'Imported from another phone',
+    fallbackHint: 'Used when this phone is offline and has no cached rates. Every successful fetch replaces them. Share them to seed a phone that has never been online.',
+    shareFallback: 'Share',
+    importFallback: 'Import',
+    fallbackImportedToast: '✅ Fallback rates from {date} imported',
+    fallbackImportFailed: 'Import failed: {message}',
+    fallbackShareFailed: 'Could not share: {message}',
+    fallbackErrors: {
+      notFallbackFile: 'This is not a Manakalo fallback rates file',
+      invalidDate: 'The file has no valid "as of" date',
+      invalidRates: 'The file has invalid rates',
+      notNewer: 'These rates are not newer than the ones on this phone',
+    },
+  },
+
+  pastDate: {
+    title: 'On a past date',
+    pick: 'What was it worth on another day?',
+    dialogTitle: 'Convert on a past date',
+    dateLabel: 'Date (YYYY-MM-DD)',
+    dateHint: 'Uses the rate in effect that day — saved on this phone, or from a rate provider when online',
+    invalidDate: 'Enter a day before today, as YYYY-MM-DD',
+    daysAgo_one: '{count} day ago',
+    daysAgo_other: '{count} days ago',
+    apply: 'Convert',
+    clear: 'Clear the past date',
+    notFound: 'No rate for that day: none was saved on this phone, and no provider could be reached.',
+    then: 'On {date}',
+    today: 'Today',
+    difference: 'Difference',
+    fromSnapshot: 'Rate saved on this phone at {date}',
+    fromProvider: '{provider}, rates of {date}',
+    fromEarlierSnapshot: 'Nothing for that day — using the last rate saved before it, at {date}',
+    officialNote: 'Official rates on both days, before fees and street-rate overrides.',
+  },
+  historyEntry: {
+    notFound: 'This conversion is no longer in the history.',
+    saved: 'As saved',
+    then: 'Then',
+    today: "At today's rate",
+    noRate: 'No current rate for {from} → {to}.',
+    ratesUnavailable: 'Rates unavailable — the saved rates could not be read.',
+    retry: 'Retry',
+    difference: 'Difference',
+    unchanged: 'Same result as when it was saved.',
+    gain: '{amount} buys more {to} today than it did then.',
+    loss: '{amount} buys less {to} today than it did then.',
+    overrideGone: 'Saved at a street rate that no longer exists — compared at the official rate.',
+    load: 'Load into converter',
+    star: 'Star this conversion',
+    notes: 'Note & tags',
+    note: 'Note',
+    notePlaceholder: 'Supplier Guangzhou deposit',
+    tags: 'Tags, separated by commas',
+    tagsPlaceholder: 'supplier, china',
+    noteSaved: '✅ Note saved',
+  },
+  settings: {
+    language: 'Language',
+    deviceLanguage: 'Same as the phone',
+    converter: 'Converter',
+    rounded: 'Round results',
+    roundedHint: 'Show whole numbers in every currency',
+    defaultAmount: 'Default amount',
+    none: 'None',
+    defaultAmountHint: 'Prefilled when the app opens. Your last currency pair is remembered automatically.',
+    numberFormat: 'Number format',
+    symbol: 'Currency symbol',
+    before: 'Before',
+    after: 'After',
+    example: 'Example: {value}',
+    rates: 'Rates',
+    cacheDuration: 'Refetch cached rates after',
+    hours: '{hours} h',
+    cacheHint: 'Shorter keeps rates fresher; longer saves mobile data.',
+    rateDetailsHint: 'Sources, fetch times, cache and errors',
+    data: 'Data',
+  },
+
+  // Currency names override CURRENCY_INFO; English uses CURRENCY_INFO as-is
+  currencyNames: {},
+};
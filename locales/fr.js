@@ -0,0 +1,423 @@
+/**
+ * Catalogue français — mêmes clés que en.js.
+ */
+
+export default {
+  common: {
+    cancel: 'Annuler',
+    save: 'Enregistrer',
+    remove: 'Supprimer',
+    close: 'Fermer',
+    from: 'De',
+    to: 'Vers',
+  },
+
+  nav: {
+    converter: 'Convertisseur',
+    history: 'Historique',
+    trends: 'Évolution des taux',
+    manageCurrencies: 'Gérer les devises',
+    backup: 'Sauvegarde',
+    alerts: 'Alertes de taux',
+    settings: 'Paramètres',
+    basket: 'Panier',
+    feeProfiles: 'Profils de frais',
+    rateDetails: 'Détails des taux',
+    historyEntry: 'Conversion',
+  },
+
+  app: {
+    dbErrorTitle: "Manakalo n'a pas pu ouvrir sa base de données",
+    dbErrorHint: 'La mise à jour échouée a été annulée. Mettez à jour l’application ou contactez le support.',
+  },
+
+  dashboard: {
+    favorites: 'Paires favorites',
+    emptyTitle: 'Aucune paire favorite',
+    emptySubtitle: 'Épinglez une paire depuis le convertisseur pour la suivre ici',
+    openConverter: 'Ouvrir le convertisseur',
+    converter: 'Convertisseur',
+    unpinned: '{pair} désépinglée',
+    loadFailed: 'Impossible de charger les taux',
+    ratesUnavailable: 'Taux indisponibles',
+    pullToRetry: 'Impossible de lire les taux enregistrés — tirez vers le bas pour réessayer',
+  },
+
+  converter: {
+    loading: 'Récupération des taux de change…',
+    ratesUpdated: '✅ Taux mis à jour !',
+    usingCache: '⚠️ Taux en cache — pas de connexion',
+    loadFailed: 'Impossible de charger les taux',
+    noRate: 'Aucun taux actuel pour {from} → {to}',
+    pinned: '📌 {pair} épinglée au tableau de bord',
+    pinErrors: {
+      samePair: 'Choisissez deux devises différentes pour épingler une paire',
+    },
+    unpinned: '📌 {pair} désépinglée',
+    live: 'En direct · {provider}',
+    cached: 'En cache · il y a {minutes} min',
+    fallback: 'Hors ligne — taux de secours',
+    fallbackWarning_one:
+      '⚠️ Taux hors ligne du {date} (il y a {count} jour). Ils peuvent être loin de ceux d’aujourd’hui — connectez-vous pour les mettre à jour, ou importez des taux de secours d’un autre téléphone dans Détails des taux.',
+    fallbackWarning_other:
+      '⚠️ Taux hors ligne du {date} (il y a {count} jours). Ils peuvent être loin de ceux d’aujourd’hui — connectez-vous pour les mettre à jour, ou importez des taux de secours d’un autre téléphone dans Détails des taux.',
+    officialRate: 'Taux officiel',
+    streetSpread: 'Taux de rue · {spread} %',
+    streetFixed: 'Taux de rue · fixe',
+    amountIn: 'Montant en {currency}',
+    swap: 'Inverser',
+    round: 'Arrondir',
+    street: 'Rue',
+    enterAmount: 'Saisissez un montant dans l’un des deux champs',
+    invalidExpression: 'Calcul impossible — vérifiez les opérateurs',
+    equals: '{amount} {currency} équivaut à',
+    menu: {
+      trends: 'Évolution des taux',
+      alerts: 'Alertes de taux',
+      currencies: 'Gérer les devises',
+      backup: 'Sauvegarde et restauration',
+      settings: 'Paramètres',
+      basket: 'Panier',
+    },
+  },
+
+  override: {
+    title: 'Taux de rue · {from} → {to}',
+    fixed: 'Taux fixe',
+    spread: 'Écart en %',
+    spreadLabel: 'Écart en % (ex. 3 ou -1,5)',
+    invalidValue: 'Saisissez un nombre, par ex. 5200 ou 5 200,50',
+    official: 'Officiel : {rate}',
+    errors: {
+      unknownMode: 'Mode de taux inconnu : {mode}',
+      rateNotPositive: 'Le taux doit être supérieur à 0',
+      spreadTooLow: 'L’écart doit être supérieur à -100 %',
+    },
+  },
+
+  history: {
+    count_one: '{count} conversion',
+    count_other: '{count} conversions',
+    search: 'Rechercher un montant',
+    ranges: {
+      all: 'Tout',
+      today: "Aujourd'hui",
+      week: '7 jours',
+      month: '30 jours',
+    },
+    retention: {
+      title: "Conservation de l'historique",
+      count: 'Garder les {value} dernières conversions',
+      age: 'Garder {value} jours',
+      year: 'Garder 1 an',
+      unlimited: 'Tout garder',
+      keepingCount: '{value} dernières gardées',
+      keepingAge: '{value} jours gardés',
+      keepingAll: 'Tout est gardé',
+      note: 'Les entrées plus anciennes sont supprimées au prochain démarrage. Les favoris sont toujours gardés.',
+    },
+    noMatches: 'Aucun résultat',
+    emptyTitle: 'Aucun historique',
+    noMatchesHint: 'Essayez un autre montant, une autre paire ou une autre période',
+    emptyHint: 'Vos conversions apparaîtront ici',
+    streetRate: ' · taux de rue',
+    starred: 'Favoris',
+    clearTitle: "Effacer l'historique",
+    clearBody: "Tout l'historique des conversions sera supprimé. Continuer ?",
+    clear: 'Effacer',
+    exportTitle: "Exporter l'historique",
+    exportFiltered_one: 'Exporte la conversion correspondant aux filtres actuels.',
+    exportFiltered_other: 'Exporte les {count} conversions correspondant aux filtres actuels.',
+    exportAll_one: 'Exporte {count} conversion.',
+    exportAll_other: 'Exporte les {count} conversions.',
+    exportFailed: "Échec de l'export : {message}",
+  },
+
+  trends: {
+    days: '{days} jours',
+    title: '1 {from} en {to} · {days} derniers jours',
+    notEnough: 'Pas encore assez de relevés — les tendances se construisent à chaque récupération des taux.',
+    first: 'Premier',
+    latest: 'Dernier',
+    low: 'Plus bas',
+    high: 'Plus haut',
+    change: 'Variation',
+  },
+
+  currencies: {
+    minEnabled: 'Gardez au moins {count} devises',
+    search: 'Ajouter une devise (ex. MUR, KMF)',
+    shown: 'Affichées dans le convertisseur',
+  },
+
+  backup: {
+    tables: {
+      conversion_history: 'Conversions',
+      rate_snapshots: 'Relevés de taux',
+      rates_cache: 'Taux en cache',
+      currencies: 'Devises activées',
+      rate_overrides: 'Taux de rue',
+      app_settings: 'Paramètres',
+      rate_alerts: 'Alertes de taux',
+      favorite_pairs: 'Paires favorites',
+      baskets: 'Paniers',
+      fee_profiles: 'Profils de frais',
+      fallback_rates: 'Taux de secours',
+      historical_rates: 'Taux des dates passées',
+    },
+    backupFailed: 'Échec de la sauvegarde : {message}',
+    invalidJson: "Ce fichier n'est pas un JSON valide",
+    restored_one: '✅ {count} enregistrement restauré',
+    restored_other: '✅ {count} enregistrements restaurés',
+    restoreFailed: 'Échec de la restauration : {message}',
+    backUp: 'Sauvegarder',
+    backUpBody:
+      'Enregistre votre historique, les taux en cache, les devises, les taux de rue, les alertes, les paires favorites et les paramètres dans un seul fichier à garder sur Drive, à vous envoyer par e-mail ou à transférer sur un autre téléphone.',
+    backUpNow: 'Sauvegarder maintenant',
+    restore: 'Restaurer',
+    restoreBody: 'Ouvrez un fichier de sauvegarde Manakalo. Vous pouvez le fusionner avec les données de ce téléphone ou tout remplacer.',
+    choose: 'Choisir un fichier',
+    restoreTitle: 'Restaurer la sauvegarde',
+    created: 'Créée le {date}',
+    mergeNote: 'Fusionner garde vos données et ajoute ce qui manque. Remplacer les supprime d’abord.',
+    replace: 'Remplacer',
+    merge: 'Fusionner',
+    errors: {
+      notBackup: 'Ce fichier n’est pas une sauvegarde Manakalo',
+      noSchemaVersion: 'La sauvegarde n’a pas de version de schéma valide',
+      newerSchema: 'Cette sauvegarde vient d’une version plus récente de l’app (schéma {version}, cette app gère {supported}). Mettez l’app à jour d’abord.',
+      unknownTable: 'Table inconnue dans la sauvegarde : {table}',
+      notRowList: 'La table {table} n’est pas une liste de lignes',
+      unknownColumns: 'Colonne(s) inconnue(s) dans {table} : {columns}',
+    },
+  },
+
+  alerts: {
+    describeChange: '{pair} varie de plus de {threshold} % en 24 h',
+    describeAbove: '1 {from} au-dessus de {amount}',
+    describeBelow: '1 {from} en dessous de {amount}',
+    lastFired: 'Déclenchée le {date}',
+    notFired: 'Jamais déclenchée',
+    newAlert: 'Nouvelle alerte',
+    above: 'Au-dessus',
+    below: 'En dessous',
+    move: 'Variation %',
+    moveLabel: 'Variation en % sur 24 h (ex. 2)',
+    invalidThreshold: 'Saisissez un nombre supérieur à 0',
+    permissionDenied:
+      'Les notifications sont désactivées pour Manakalo — activez-les dans les réglages du téléphone pour recevoir les alertes.',
+    add: "Ajouter l'alerte",
+    empty: 'Aucune alerte',
+    errors: {
+      unknownKind: 'Type d’alerte inconnu : {kind}',
+      samePair: 'Choisissez deux devises différentes',
+      thresholdNotPositive: 'Le seuil doit être supérieur à 0',
+    },
+  },
+
+  notifications: {
+    channel: 'Alertes de taux',
+    moved: '{pair} a varié de {change} % en 24 h',
+    above: '{pair} est au-dessus de {amount}',
+    below: '{pair} est en dessous de {amount}',
+  },
+
+  basket: {
+    totalIn: 'Total en',
+    lineCount_one: '{count} ligne',
+    lineCount_other: '{count} lignes',
+    addLine: 'Ajouter une ligne',
+    label: 'Libellé (facultatif)',
+    add: 'Ajouter',
+    lines: 'Lignes',
+    empty: 'Aucune ligne — ajoutez vos achats ci-dessus',
+    clear: 'Vider',
+    save: 'Enregistrer le panier',
+    saveTitle: 'Enregistrer le panier',
+    name: 'Nom (ex. commande Canton)',
+    saved: '« {name} » enregistré',
+    saveFailed: "Impossible d'enregistrer : {message}",
+    unconverted_one: '{count} ligne n’a pas de taux vers {currency} — retirez-la pour enregistrer le panier',
+    unconverted_other: '{count} lignes n’ont pas de taux vers {currency} — retirez-les pour enregistrer le panier',
+    savedBaskets: 'Paniers enregistrés',
+    noSaved: 'Aucun panier enregistré',
+    loaded: '« {name} » ouvert aux taux du jour',
+    ratesUnavailable: 'Taux indisponibles — impossible de lire les taux enregistrés.',
+    retry: 'Réessayer',
+    errors: {
+      noName: 'Donnez un nom au panier',
+      noLines: 'Ajoutez au moins une ligne',
+    },
+  },
+
+  fees: {
+    none: 'Sans frais',
+    badge: 'Frais : {name}',
+    manage: 'Gérer les profils de frais',
+    gross: 'Envoyé',
+    fees: 'Frais',
+    net: 'Reçu',
+    solve: 'Le destinataire doit recevoir…',
+    solveTitle: 'Montant à recevoir',
+    solveLabel: 'Le destinataire reçoit ({currency})',
+    solveApply: 'Calculer',
+    solveHint: 'Calcule le montant à envoyer avec les frais {profile}.',
+    noRate: 'Aucun taux actuel pour {currency}, la devise des frais {name}',
+  },
+
+  feeProfiles: {
+    summary: '{fixed} + {percent} %',
+    min: 'min. {value}',
+    max: 'max. {value}',
+    edit: 'Modifier le profil',
+    new: 'Nouveau profil de frais',
+    name: 'Nom (ex. MVola)',
+    currency: 'Frais facturés en',
+    fixed: 'Frais fixes',
+    percent: 'Pourcentage %',
+    minLabel: 'Frais minimum',
+    maxLabel: 'Frais maximum',
+    update: 'Mettre à jour',
+    add: 'Ajouter le profil',
+    empty: 'Aucun profil de frais',
+    errors: {
+      noName: 'Donnez un nom au profil',
+      negativeFee: 'Les frais ne peuvent pas être négatifs',
+      percentTooHigh: 'Le pourcentage doit être inférieur à 100',
+      minAboveMax: 'Les frais minimum dépassent le maximum',
+    },
+  },
+
+  rateDetails: {
+    providers: 'Fournisseur',
+    noProvider: 'Aucun fournisseur n’a encore répondu — taux de secours intégrés utilisés',
+    published: 'Publié le {date}',
+    noTimestamp: 'Ce fournisseur n’indique pas d’heure de publication',
+    device: 'Ce téléphone',
+    fetchedAt: 'Récupéré',
+    cache: 'Cache',
+    noCache: 'Vide',
+    invalidated: 'Invalidé — récupéré à la prochaine utilisation',
+    freshUntil: 'À jour jusqu’au {date}',
+    expiredAt: 'Expiré le {date}',
+    lastAttempt: 'Dernière tentative',
+    lastError: 'Dernière erreur',
+    noError: 'Aucune',
+    never: 'Jamais',
+    minutesAgo: 'il y a {count} min',
+    hoursAgo: 'il y a {count} h',
+    daysAgo: 'il y a {count} j',
+    minutesAhead: 'dans {count} min',
+    hoursAhead: 'dans {count} h',
+    daysAhead: 'dans {count} j',
+    invalidate: 'Invalider le cache',
+    refresh: 'Forcer la mise à jour',
+    offline: 'Hors ligne — rien n’a été récupéré',
+    refreshed: '✅ Nouveaux taux récupérés',
+    refreshFailed: 'Tous les fournisseurs ont échoué — voir la dernière erreur',
+    invalidatedToast: 'Cache invalidé',
+    rawRates: 'Taux bruts · unités pour 1 USD',
+    search: 'Filtrer par code ou nom',
+    noRates: 'Aucun taux à afficher',
+    fallback: 'Taux de secours hors ligne',
+    fallbackAsOf: 'Taux du',
+    fallbackSource: 'Source',
+    fallbackBundled: 'Fournis avec l’application',
+    fallbackImported: 'Importés d’un autre téléphone',
+    fallbackHint: 'Utilisés quand ce téléphone est hors ligne sans taux en cache. Chaque récupération réussie les remplace. Partagez-les pour préparer un téléphone qui n’a jamais été en ligne.',
+    shareFallback: 'Partager',
+    importFallback: 'Importer',
+    fallbackImportedToast: '✅ Taux de secours du {date} importés',
+    fallbackImportFailed: 'Échec de l’import : {message}',
+    fallbackShareFailed: 'Partage impossible : {message}',
+    fallbackErrors: {
+      notFallbackFile: 'Ce n’est pas un fichier de taux de secours Manakalo',
+      invalidDate: 'Le fichier n’a pas de date valide',
+      invalidRates: 'Le fichier contient des taux invalides',
+      notNewer: 'Ces taux ne sont pas plus récents que ceux de ce téléphone',
+    },
+  },
+
+  pastDate: {
+    title: 'À une date passée',
+    pick: 'Combien cela valait-il un autre jour ?',
+    dialogTitle: 'Convertir à une date passée',
+    dateLabel: 'Date (AAAA-MM-JJ)',
+    dateHint: 'Utilise le taux en vigueur ce jour-là — enregistré sur ce téléphone, ou d’un fournisseur de taux en ligne',
+    invalidDate: 'Saisissez un jour antérieur à aujourd’hui, au format AAAA-MM-JJ',
+    daysAgo_one: 'Il y a {count} jour',
+    daysAgo_other: 'Il y a {count} jours',
+    apply: 'Convertir',
+    clear: 'Effacer la date passée',
+    notFound: 'Aucun taux pour ce jour : aucun n’a été enregistré sur ce téléphone et aucun fournisseur n’a pu être joint.',
+    then: 'Le {date}',
+    today: 'Aujourd’hui',
+    difference: 'Écart',
+    fromSnapshot: 'Taux enregistré sur ce téléphone le {date}',
+    fromProvider: '{provider}, taux du {date}',
+    fromEarlierSnapshot: 'Rien pour ce jour — dernier taux enregistré avant, le {date}',
+    officialNote: 'Taux officiels aux deux dates, hors frais et taux de rue.',
+  },
+  historyEntry: {
+    notFound: 'Cette conversion n’est plus dans l’historique.',
+    saved: 'Enregistrée',
+    then: 'À l’époque',
+    today: 'Au taux du jour',
+    noRate: 'Aucun taux actuel pour {from} → {to}.',
+    ratesUnavailable: 'Taux indisponibles — impossible de lire les taux enregistrés.',
+    retry: 'Réessayer',
+    difference: 'Écart',
+    unchanged: 'Même résultat qu’à l’enregistrement.',
+    gain: '{amount} achète plus de {to} aujourd’hui qu’à l’époque.',
+    loss: '{amount} achète moins de {to} aujourd’hui qu’à l’époque.',
+    overrideGone: 'Enregistrée à un taux de rue qui n’existe plus — comparée au taux officiel.',
+    load: 'Charger dans le convertisseur',
+    star: 'Marquer cette conversion',
+    notes: 'Note et étiquettes',
+    note: 'Note',
+    notePlaceholder: 'Acompte fournisseur Guangzhou',
+    tags: 'Étiquettes, séparées par des virgules',
+    tagsPlaceholder: 'fournisseur, chine',
+    noteSaved: '✅ Note enregistrée',
+  },
+  settings: {
+    language: 'Langue',
+    deviceLanguage: 'Comme le téléphone',
+    converter: 'Convertisseur',
+    rounded: 'Arrondir les résultats',
+    roundedHint: 'Affiche des nombres entiers dans toutes les devises',
+    defaultAmount: 'Montant par défaut',
+    none: 'Aucun',
+    defaultAmountHint: "Prérempli à l'ouverture. Votre dernière paire de devises est retenue automatiquement.",
+    numberFormat: 'Format des nombres',
+    symbol: 'Symbole monétaire',
+    before: 'Avant',
+    after: 'Après',
+    example: 'Exemple : {value}',
+    rates: 'Taux',
+    cacheDuration: 'Récupérer de nouveaux taux après',
+    hours: '{hours} h',
+    cacheHint: 'Plus court : des taux plus frais. Plus long : moins de données mobiles.',
+    rateDetailsHint: 'Sources, heures de récupération, cache et erreurs',
+    data: 'Données',
+  },
+
+  currencyNames: {
+    MGA: 'Ariary malgache',
+    USD: 'Dollar américain',
+    EUR: 'Euro',
+    CNY: 'Yuan chinois',
+    MUR: 'Roupie mauricienne',
+    KMF: 'Franc comorien',
+    ZAR: 'Rand sud-africain',
+    INR: 'Roupie indienne',
+    AED: 'Dirham des Émirats',
+    GBP: 'Livre sterling',
+    JPY: 'Yen japonais',
+    CHF: 'Franc suisse',
+    CAD: 'Dollar canadien',
+    SCR: 'Roupie seychelloise',
+    XOF: "Franc CFA d'Afrique de l'Ouest",
+    XAF: "Franc CFA d'Afrique centrale",
+  },
+};
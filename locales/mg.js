@@ -0,0 +1,414 @@
+/**
+ * Katalaogy malagasy — mitovy lakile amin'ny en.js.
+ */
+
+export default {
+  common: {
+    cancel: 'Aoka ihany',
+    save: 'Tehirizo',
+    remove: 'Esory',
+    close: 'Hidio',
+    from: "Avy amin'ny",
+    to: 'Mankany',
+  },
+
+  nav: {
+    converter: 'Fanakalozana',
+    history: 'Tantara',
+    trends: "Fivoaran'ny sanda",
+    manageCurrencies: 'Karazam-bola',
+    backup: 'Tahiry',
+    alerts: 'Fampitandremana',
+    settings: 'Fikirana',
+    basket: 'Harona',
+    feeProfiles: "Saran'ny fandefasana",
+    rateDetails: 'Antsipiriany momba ny sanda',
+    historyEntry: 'Fanakalozana natao',
+  },
+
+  app: {
+    dbErrorTitle: "Tsy voasokatr'i Manakalo ny tahirin-kevitra",
+    dbErrorHint: "Nofoanana ny fanavaozana tsy nahomby. Havaozy ny app na antsoy ny mpanohana.",
+  },
+
+  dashboard: {
+    favorites: 'Tiana indrindra',
+    emptyTitle: 'Mbola tsy misy mpivady tiana',
+    emptySubtitle: "Apetaho avy amin'ny fanakalozana ny mpivady hojerena eto",
+    openConverter: 'Sokafy ny fanakalozana',
+    converter: 'Fanakalozana',
+    unpinned: 'Nesorina {pair}',
+    loadFailed: 'Tsy azo ny sanda',
+    ratesUnavailable: 'Tsy misy sanda',
+    pullToRetry: 'Tsy voavaky ny sanda voatahiry — sintony midina hanandramana indray',
+  },
+
+  converter: {
+    loading: 'Maka ny sandan’ny vola…',
+    ratesUpdated: '✅ Voavao ny sanda!',
+    usingCache: '⚠️ Sanda voatahiry no ampiasaina — tsy misy internet',
+    loadFailed: 'Tsy azo ny sanda',
+    noRate: 'Tsy misy sanda ankehitriny ho an’ny {from} → {to}',
+    pinned: "📌 Napetaka eo amin'ny fandraisana {pair}",
+    pinErrors: {
+      samePair: 'Misafidiana vola roa samy hafa vao manindry',
+    },
+    unpinned: '📌 Nesorina {pair}',
+    live: 'Mivantana · {provider}',
+    cached: 'Voatahiry · {minutes} min lasa',
+    fallback: 'Tsy misy internet — sanda tahiry',
+    fallbackWarning:
+      '⚠️ Sanda tsy an-tserasera tamin’ny {date} ({count} andro lasa). Mety ho lavitra ny an’androany — mifandraisa amin’ny aterineto hanavaozana, na ampidiro avy amin’ny finday hafa ao amin’ny Antsipiriany momba ny sanda.',
+    officialRate: 'Sanda ofisialy',
+    streetSpread: "Sandan'ny arabe · {spread}%",
+    streetFixed: "Sandan'ny arabe · raikitra",
+    amountIn: 'Vola amin’ny {currency}',
+    swap: 'Avadiho',
+    round: 'Boribory',
+    street: 'Arabe',
+    enterAmount: 'Ampidiro ny vola amin’ny iray amin’ireo saha roa',
+    invalidExpression: 'Tsy azo kajiana — jereo ny marika',
+    equals: '{amount} {currency} dia mitovy amin’ny',
+    menu: {
+      trends: "Fivoaran'ny sanda",
+      alerts: 'Fampitandremana',
+      currencies: 'Karazam-bola',
+      backup: 'Tahiry sy famerenana',
+      settings: 'Fikirana',
+      basket: 'Harona',
+    },
+  },
+
+  override: {
+    title: "Sandan'ny arabe · {from} → {to}",
+    fixed: 'Sanda raikitra',
+    spread: 'Elanelana %',
+    spreadLabel: 'Elanelana amin’ny % (oh. 3 na -1,5)',
+    invalidValue: 'Ampidiro isa, ohatra 5200 na 5 200,50',
+    official: 'Ofisialy: {rate}',
+    errors: {
+      unknownMode: 'Fomba tsy fantatra: {mode}',
+      rateNotPositive: 'Tsy maintsy lehibe noho ny 0 ny taha',
+      spreadTooLow: 'Tsy maintsy ambony noho ny -100 % ny elanelana',
+    },
+  },
+
+  history: {
+    count: 'Fanakalozana {count}',
+    search: 'Hikaroka vola',
+    ranges: {
+      all: 'Rehetra',
+      today: 'Androany',
+      week: '7 andro',
+      month: '30 andro',
+    },
+    retention: {
+      title: 'Fitehirizana ny tantara',
+      count: 'Tazomy ny fanakalozana {value} farany',
+      age: 'Tazomy {value} andro',
+      year: 'Tazomy 1 taona',
+      unlimited: 'Tazomy daholo',
+      keepingCount: '{value} farany no tazonina',
+      keepingAge: '{value} andro no tazonina',
+      keepingAll: 'Tazonina daholo',
+      note: 'Voafafa ny taloha rehefa manokatra ny app indray. Tazonina foana ireo misy kintana.',
+    },
+    noMatches: 'Tsy misy mifanaraka',
+    emptyTitle: 'Mbola tsy misy tantara',
+    noMatchesHint: 'Andramo vola, mpivady na daty hafa',
+    emptyHint: 'Hiseho eto ny fanakalozanao',
+    streetRate: " · sandan'ny arabe",
+    starred: 'Misy kintana',
+    clearTitle: 'Fafao ny tantara',
+    clearBody: 'Ho voafafa daholo ny tantaran’ny fanakalozana. Hanohy?',
+    clear: 'Fafao',
+    exportTitle: 'Avoahy ny tantara',
+    exportFiltered: 'Mamoaka ny fanakalozana {count} mifanaraka amin’ny sivana.',
+    exportAll: 'Mamoaka ny fanakalozana {count} rehetra.',
+    exportFailed: 'Tsy nahomby ny famoahana: {message}',
+  },
+
+  trends: {
+    days: '{days} andro',
+    title: '1 {from} amin’ny {to} · {days} andro farany',
+    notEnough: 'Mbola tsy ampy ny sanda voaray — hiakatra rehefa maka sanda vaovao ny app.',
+    first: 'Voalohany',
+    latest: 'Farany',
+    low: 'Ambany indrindra',
+    high: 'Ambony indrindra',
+    change: 'Fiovana',
+  },
+
+  currencies: {
+    minEnabled: 'Tazomy farafahakeliny karazam-bola {count}',
+    search: 'Hanampy vola (oh. MUR, KMF)',
+    shown: "Aseho amin'ny fanakalozana",
+  },
+
+  backup: {
+    tables: {
+      conversion_history: 'Fanakalozana',
+      rate_snapshots: 'Sanda voaray',
+      rates_cache: 'Sanda voatahiry',
+      currencies: 'Karazam-bola',
+      rate_overrides: "Sandan'ny arabe",
+      app_settings: 'Fikirana',
+      rate_alerts: 'Fampitandremana',
+      favorite_pairs: 'Mpivady tiana',
+      baskets: 'Harona',
+      fee_profiles: "Saran'ny fandefasana",
+      fallback_rates: 'Sanda fitahiry',
+      historical_rates: 'Sanda tamin’ny daty lasa',
+    },
+    backupFailed: 'Tsy nahomby ny fitahirizana: {message}',
+    invalidJson: 'Tsy JSON marina ity rakitra ity',
+    restored: '✅ Naverina ny firaketana {count}',
+    restoreFailed: 'Tsy nahomby ny famerenana: {message}',
+    backUp: 'Tahirizo',
+    backUpBody:
+      "Tehirizina anaty rakitra iray ny tantaranao, ny sanda, ny karazam-bola, ny sandan'ny arabe, ny fampitandremana, ny mpivady tiana ary ny fikirana — azonao apetraka amin'ny Drive, alefa amin'ny mailaka na afindra amin'ny finday hafa.",
+    backUpNow: 'Tahirizo izao',
+    restore: 'Avereno',
+    restoreBody: "Sokafy ny rakitra tahirin'i Manakalo. Azonao atambatra amin'izay ao amin'ity finday ity na soloina daholo.",
+    choose: 'Misafidy rakitra',
+    restoreTitle: 'Avereno ny tahiry',
+    created: 'Natao ny {date}',
+    mergeNote: "Ny fanambatrana dia mitazona ny anao ary manampy izay tsy ao. Ny fanoloana dia mamafa azy aloha.",
+    replace: 'Soloy',
+    merge: 'Atambaro',
+    errors: {
+      notBackup: 'Tsy tahiry Manakalo ity rakitra ity',
+      noSchemaVersion: 'Tsy manana laharan’ny schema marina ny tahiry',
+      newerSchema: 'Avy amin’ny dikan’ny app vaovao kokoa ity tahiry ity (schema {version}, {supported} no zakan’ity app ity). Havaozy aloha ny app.',
+      unknownTable: 'Tabilao tsy fantatra ao amin’ny tahiry: {table}',
+      notRowList: 'Tsy lisitry ny andalana ny tabilao {table}',
+      unknownColumns: 'Tsanganana tsy fantatra ao amin’ny {table}: {columns}',
+    },
+  },
+
+  alerts: {
+    describeChange: '{pair} miova mihoatra ny {threshold}% ao anatin’ny 24 ora',
+    describeAbove: '1 {from} mihoatra ny {amount}',
+    describeBelow: '1 {from} latsaky ny {amount}',
+    lastFired: 'Naneno farany ny {date}',
+    notFired: 'Mbola tsy naneno',
+    newAlert: 'Fampitandremana vaovao',
+    above: 'Mihoatra',
+    below: 'Latsaka',
+    move: 'Fiovana %',
+    moveLabel: 'Fiovana % ao anatin’ny 24 ora (oh. 2)',
+    invalidThreshold: 'Ampidiro isa lehibe noho ny 0',
+    permissionDenied:
+      "Maty ny fampahafantarana ho an'i Manakalo — alefaso ao amin'ny fikiran'ny finday mba handraisana fampitandremana.",
+    add: 'Ampio',
+    empty: 'Mbola tsy misy fampitandremana',
+    errors: {
+      unknownKind: 'Karazana fampitandremana tsy fantatra: {kind}',
+      samePair: 'Misafidiana vola roa samy hafa',
+      thresholdNotPositive: 'Tsy maintsy lehibe noho ny 0 ny fetra',
+    },
+  },
+
+  notifications: {
+    channel: 'Fampitandremana sanda',
+    moved: '{pair} niova {change}% tao anatin’ny 24 ora',
+    above: '{pair} mihoatra ny {amount}',
+    below: '{pair} latsaky ny {amount}',
+  },
+
+  basket: {
+    totalIn: "Totaliny amin'ny",
+    lineCount: 'Andalana {count}',
+    addLine: 'Hanampy andalana',
+    label: 'Anarana (tsy voatery)',
+    add: 'Ampio',
+    lines: 'Andalana',
+    empty: 'Mbola tsy misy andalana — ampidiro etsy ambony ny zavatra vidiana',
+    clear: 'Fafao',
+    save: 'Tehirizo ny harona',
+    saveTitle: 'Tehirizo ny harona',
+    name: 'Anarana (oh. kaomandy Guangzhou)',
+    saved: 'Voatahiry « {name} »',
+    saveFailed: 'Tsy voatahiry: {message}',
+    unconverted: 'Andalana {count} tsy manana sanda mankany {currency} — esory izy ireo vao tehirizina ny harona',
+    savedBaskets: 'Harona voatahiry',
+    noSaved: 'Mbola tsy misy harona voatahiry',
+    loaded: "Nosokafana « {name} » amin'ny sandan'androany",
+    ratesUnavailable: 'Tsy misy sanda — tsy voavaky ny sanda voatahiry.',
+    retry: 'Andramo indray',
+    errors: {
+      noName: 'Omeo anarana ny harona',
+      noLines: 'Manampia andalana iray farafahakeliny',
+    },
+  },
+
+  fees: {
+    none: 'Tsy misy sarany',
+    badge: 'Sarany: {name}',
+    manage: "Hitantana ny saran'ny fandefasana",
+    gross: 'Alefa',
+    fees: 'Sarany',
+    net: 'Voaray',
+    solve: 'Tokony handray…',
+    solveTitle: 'Vola tokony horaisina',
+    solveLabel: "Horaisin'ny mpandray ({currency})",
+    solveApply: 'Kajio',
+    solveHint: "Kajiana ny vola tokony halefa miaraka amin'ny saran'ny {profile}.",
+    noRate: 'Tsy misy sanda ankehitriny ho an’ny {currency}, ny volan’ny sarany {name}',
+  },
+
+  feeProfiles: {
+    summary: '{fixed} + {percent}%',
+    min: 'farafahakeliny {value}',
+    max: 'farafahabetsany {value}',
+    edit: 'Hanova',
+    new: 'Sarany vaovao',
+    name: 'Anarana (oh. MVola)',
+    currency: 'Vola anaovana ny sarany',
+    fixed: 'Sarany raikitra',
+    percent: 'Isan-jato %',
+    minLabel: 'Sarany farafahakeliny',
+    maxLabel: 'Sarany farafahabetsany',
+    update: 'Havaozina',
+    add: 'Ampidiro',
+    empty: 'Mbola tsy misy sarany voasoratra',
+    errors: {
+      noName: 'Omeo anarana ny mombamomba',
+      negativeFee: 'Tsy azo ambany noho ny aotra ny sarany',
+      percentTooHigh: 'Tsy maintsy ambany noho ny 100 ny isan-jato',
+      minAboveMax: 'Ambony noho ny faratampony ny sarany farany ambany',
+    },
+  },
+
+  rateDetails: {
+    providers: 'Mpamatsy',
+    noProvider: 'Mbola tsy nisy mpamatsy namaly — ny sanda voatahiry ao anaty app no ampiasaina',
+    published: 'Navoaka {date}',
+    noTimestamp: 'Tsy manome ora famoahana ity mpamatsy ity',
+    device: 'Ity finday ity',
+    fetchedAt: 'Nalaina',
+    cache: 'Tahiry',
+    noCache: 'Foana',
+    invalidated: 'Nofoanana — haka vaovao amin’ny fampiasana manaraka',
+    freshUntil: 'Vaovao hatramin’ny {date}',
+    expiredAt: 'Lany daty {date}',
+    lastAttempt: 'Andrana farany',
+    lastError: 'Hadisoana farany',
+    noError: 'Tsy misy',
+    never: 'Tsy mbola',
+    minutesAgo: '{count} min lasa',
+    hoursAgo: '{count} ora lasa',
+    daysAgo: '{count} andro lasa',
+    minutesAhead: 'afaka {count} min',
+    hoursAhead: 'afaka {count} ora',
+    daysAhead: 'afaka {count} andro',
+    invalidate: 'Foano ny tahiry',
+    refresh: 'Haka vaovao',
+    offline: 'Tsy misy tambajotra — tsy nisy nalaina',
+    refreshed: '✅ Sanda vaovao voaray',
+    refreshFailed: 'Tsy nahomby ny mpamatsy rehetra — jereo ny hadisoana farany',
+    invalidatedToast: 'Voafoana ny tahiry',
+    rawRates: 'Sanda tsotra · isan’ny 1 USD',
+    search: 'Sivano araka ny kaody na anarana',
+    noRates: 'Tsy misy sanda aseho',
+    fallback: 'Sanda fitahiry tsy an-tserasera',
+    fallbackAsOf: 'Sanda tamin’ny',
+    fallbackSource: 'Loharano',
+    fallbackBundled: 'Niaraka tamin’ny app',
+    fallbackImported: 'Nafindra avy amin’ny finday hafa',
+    fallbackHint: 'Ampiasaina rehefa tsy an-tserasera ity finday ity ary tsy misy sanda voatahiry. Soloina isaky ny maka sanda vaovao mahomby. Zarao mba hanomanana finday mbola tsy niditra an-tserasera mihitsy.',
+    shareFallback: 'Zarao',
+    importFallback: 'Ampidiro',
+    fallbackImportedToast: '✅ Voaray ny sanda tamin’ny {date}',
+    fallbackImportFailed: 'Tsy nahomby ny fampidirana: {message}',
+    fallbackShareFailed: 'Tsy afaka nozaraina: {message}',
+    fallbackErrors: {
+      notFallbackFile: 'Tsy rakitra sanda fitahirin’i Manakalo ity',
+      invalidDate: 'Tsy misy daty mazava ao amin’ny rakitra',
+      invalidRates: 'Misy sanda diso ao amin’ny rakitra',
+      notNewer: 'Tsy vaovao noho ny ao amin’ity finday ity ireo sanda ireo',
+    },
+  },
+
+  pastDate: {
+    title: 'Tamin’ny daty lasa',
+    pick: 'Ohatrinona izy tamin’ny andro hafa?',
+    dialogTitle: 'Hanova tamin’ny daty lasa',
+    dateLabel: 'Daty (TTTT-VV-AA)',
+    dateHint: 'Mampiasa ny sanda nanan-kery tamin’izany andro izany — voatahiry amin’ity finday ity, na avy amin’ny mpamatsy sanda rehefa an-tserasera',
+    invalidDate: 'Ampidiro andro talohan’ny androany, amin’ny endrika TTTT-VV-AA',
+    daysAgo: '{count} andro lasa',
+    apply: 'Hanova',
+    clear: 'Esory ny daty lasa',
+    notFound: 'Tsy misy sanda ho an’io andro io: tsy nisy voatahiry tamin’ity finday ity, ary tsy tratra ny mpamatsy.',
+    then: 'Tamin’ny {date}',
+    today: 'Androany',
+    difference: 'Elanelana',
+    fromSnapshot: 'Sanda voatahiry tamin’ity finday ity tamin’ny {date}',
+    fromProvider: '{provider}, sanda tamin’ny {date}',
+    fromEarlierSnapshot: 'Tsy misy ho an’io andro io — ny sanda farany voatahiry talohany, tamin’ny {date}',
+    officialNote: 'Sanda ofisialy tamin’ireo andro roa ireo, tsy misy sarany na sanda an-tsena.',
+  },
+  historyEntry: {
+    notFound: 'Tsy ao amin’ny tantara intsony ity fanakalozana ity.',
+    saved: 'Araka ny voatahiry',
+    then: 'Tamin’izany',
+    today: 'Amin’ny sandan’androany',
+    noRate: 'Tsy misy sanda ankehitriny ho an’ny {from} → {to}.',
+    ratesUnavailable: 'Tsy misy sanda — tsy voavaky ny sanda voatahiry.',
+    retry: 'Andramo indray',
+    difference: 'Elanelana',
+    unchanged: 'Mitovy amin’ny tamin’ny nitahirizana azy ny vokatra.',
+    gain: 'Mahazo {to} bebe kokoa androany ny {amount} noho ny tamin’izany.',
+    loss: 'Mahazo {to} kely kokoa androany ny {amount} noho ny tamin’izany.',
+    overrideGone: 'Voatahiry tamin’ny sanda an-tsena tsy misy intsony — ampitahaina amin’ny sanda ofisialy.',
+    load: 'Ampidiro ao amin’ny mpanakalo',
+    star: 'Asio kintana ity fanakalozana ity',
+    notes: 'Fanamarihana sy tikety',
+    note: 'Fanamarihana',
+    notePlaceholder: 'Fandoavam-bola mialoha mpamatsy Guangzhou',
+    tags: 'Tikety, sarahan’ny faingo',
+    tagsPlaceholder: 'mpamatsy, sina',
+    noteSaved: '✅ Voatahiry ny fanamarihana',
+  },
+  settings: {
+    language: 'Fiteny',
+    deviceLanguage: "Mitovy amin'ny finday",
+    converter: 'Fanakalozana',
+    rounded: 'Boribory ny valiny',
+    roundedHint: 'Isa boribory amin’ny vola rehetra',
+    defaultAmount: 'Vola apetraka mialoha',
+    none: 'Tsy misy',
+    defaultAmountHint: 'Feno rehefa misokatra ny app. Tadidy ho azy ny mpivady farany nampiasainao.',
+    numberFormat: 'Fanoratana isa',
+    symbol: "Marika ny vola",
+    before: 'Aloha',
+    after: 'Aoriana',
+    example: 'Ohatra: {value}',
+    rates: 'Sanda',
+    cacheDuration: 'Maka sanda vaovao isaky ny',
+    hours: '{hours} ora',
+    cacheHint: 'Fohy: sanda vaovao kokoa. Lava: mitsitsy data.',
+    rateDetailsHint: 'Loharano, fotoana, tahiry ary hadisoana',
+    data: 'Angona',
+  },
+
+  currencyNames: {
+    MGA: 'Ariary malagasy',
+    USD: 'Dolara amerikanina',
+    EUR: 'Euro',
+    CNY: 'Yuan sinoa',
+    MUR: 'Ropia morisianina',
+    KMF: 'Farantsa komoriana',
+    ZAR: 'Rand afrikanina tatsimo',
+    INR: 'Ropia indianina',
+    AED: 'Dirham emirà',
+    GBP: 'Livre sterling',
+    JPY: 'Yen japoney',
+    CHF: 'Farantsa soisa',
+    CAD: 'Dolara kanadianina',
+    SCR: 'Ropia seselloa',
+    XOF: 'Farantsa CFA Afrika Andrefana',
+    XAF: 'Farantsa CFA Afrika Afovoany',
+  },
+};
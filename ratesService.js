@@ -5,190 +5,1221 @@
  * locally in SQLite so the app works offline too.
  *
  * Strategy:
- *  - On first open, fetch live rates from the API
+ *  - On first open, fetch live rates from the providers in RATE_PROVIDERS,
+ *    in priority order, failing over to the next one when a source is down
  *  - Cache the result in SQLite with a timestamp
- *  - On next open, if cache is < 1 hour old → use cache (no network)
+ *  - On next open, if cache is younger than the cache duration setting
+ *    (6 hours by default) → use cache (no network)
  *  - If cache is stale or missing → fetch fresh rates
  *  - If fetch fails and cache exists → use stale cache (graceful offline)
- *  - If fetch fails and no cache → use built-in fallback rates
+ *  - If fetch fails and no cache → use the fallback rates: a dated copy
+ *    of the last good fetch kept in SQLite (seeded from BUNDLED_FALLBACK_RATES
+ *    on install, importable from another phone)
  */
 
 import * as SQLite from 'expo-sqlite';
+import { toDecimal, toNumber, add, subtract, multiply, divide, roundTo, compare } from './decimal';
 
 // ─── Constants ───────────────────────────────────────────────────────────────
-const CACHE_DURATION_MS = 6 * 60 * 60 * 1000; // 6 hour
-const HISTORY_MAX       = 100;            // max rows kept in DB
+// How long cached rates count as fresh — user-selectable in Settings
+export const CACHE_DURATION_OPTIONS_HOURS = [1, 3, 6, 12, 24];
 
-// Supported currencies
-export const CURRENCIES = ['MGA', 'USD', 'EUR', 'CNY'];
+// History retention — how much conversion_history is kept (starred rows and
+// saved basket lines always are)
+//   count     → keep the newest `value` rows
+//   age       → keep rows from the last `value` days
+//   unlimited → never prune
+export const RETENTION_MODES = ['count', 'age', 'unlimited'];
+const DEFAULT_RETENTION = { mode: 'count', value: 100 };
 
+// Rate snapshots — every fetch is kept for this many days, then thinned to
+// the last one of each day (the point Trends charts for that day)
+const SNAPSHOT_FULL_DAYS = 7;
+
+// Value of every setting until the user changes it (see getSetting)
+export const SETTINGS_DEFAULTS = {
+  last_pair: { from: 'CNY', to: 'MGA' }, // converter pair, restored on launch
+  rounded: false,
+  street_mode: true,                     // apply street-rate overrides
+  default_amount: null,                  // amount prefilled in the converter
+  cache_duration_hours: 6,
+  history_retention: DEFAULT_RETENTION,
+  number_locale: 'en-US',                // one of NUMBER_LOCALES
+  symbol_position: 'before',             // 'before' → "Ar 1,000", 'after' → "1,000 Ar"
+  language: null,                        // UI language; null follows the phone (see i18n.js)
+  fee_profile_id: null,                  // fee profile applied in the converter, null = none
+};
+
+// Number styles offered in Settings — French and Malagasy write 1 234,56
+export const NUMBER_LOCALES = [
+  { locale: 'fr-MG', label: 'Français' },
+  { locale: 'mg-MG', label: 'Malagasy' },
+  { locale: 'en-US', label: 'English' },
+  { locale: 'zh-CN', label: '中文' },
+];
+
+// Currencies enabled on first launch (users can change this in Manage Currencies)
+export const DEFAULT_CURRENCIES = ['MGA', 'USD', 'EUR', 'CNY'];
+
+// Display metadata for currencies we know about. Any other ISO 4217 code
+// the provider returns still works — see getCurrencyInfo().
+// minorUnits is the ISO 4217 number of decimals. MGA is the exception: ISO
+// lists the iraimbilanja (⅕ ariary), but nobody uses it and banks settle in
+// whole ariary.
 export const CURRENCY_INFO = {
-  MGA: { name: 'Malagasy Ariary', flag: '🇲🇬', symbol: 'Ar' },
-  USD: { name: 'US Dollar',       flag: '🇺🇸', symbol: '$'  },
-  EUR: { name: 'Euro',            flag: '🇪🇺', symbol: '€'  },
-  CNY: { name: 'Chinese Yuan',    flag: '🇨🇳', symbol: '¥'  },
+  MGA: { name: 'Malagasy Ariary',    flag: '🇲🇬', symbol: 'Ar',   minorUnits: 0 },
+  USD: { name: 'US Dollar',          flag: '🇺🇸', symbol: '$',    minorUnits: 2 },
+  EUR: { name: 'Euro',               flag: '🇪🇺', symbol: '€',    minorUnits: 2 },
+  CNY: { name: 'Chinese Yuan',       flag: '🇨🇳', symbol: '¥',    minorUnits: 2 },
+  MUR: { name: 'Mauritian Rupee',    flag: '🇲🇺', symbol: 'Rs',   minorUnits: 2 },
+  KMF: { name: 'Comorian Franc',     flag: '🇰🇲', symbol: 'CF',   minorUnits: 0 },
+  ZAR: { name: 'South African Rand', flag: '🇿🇦', symbol: 'R',    minorUnits: 2 },
+  INR: { name: 'Indian Rupee',       flag: '🇮🇳', symbol: '₹',    minorUnits: 2 },
+  AED: { name: 'UAE Dirham',         flag: '🇦🇪', symbol: 'AED',  minorUnits: 2 },
+  GBP: { name: 'British Pound',      flag: '🇬🇧', symbol: '£',    minorUnits: 2 },
+  JPY: { name: 'Japanese Yen',       flag: '🇯🇵', symbol: '¥',    minorUnits: 0 },
+  CHF: { name: 'Swiss Franc',        flag: '🇨🇭', symbol: 'CHF',  minorUnits: 2 },
+  CAD: { name: 'Canadian Dollar',    flag: '🇨🇦', symbol: '$',    minorUnits: 2 },
+  SCR: { name: 'Seychellois Rupee',  flag: '🇸🇨', symbol: 'Rs',   minorUnits: 2 },
+  XOF: { name: 'West African CFA Franc',    flag: '🌍', symbol: 'CFA',  minorUnits: 0 },
+  XAF: { name: 'Central African CFA Franc', flag: '🌍', symbol: 'FCFA', minorUnits: 0 },
+};
+
+// ISO 4217 minor units from the CLDR data built into Intl; 2 when the
+// runtime doesn't know the code
+const intlMinorUnits = (code) => {
+  try {
+    const format = new Intl.NumberFormat('en', { style: 'currency', currency: code });
+    return format.resolvedOptions().maximumFractionDigits;
+  } catch (e) {
+    return 2;
+  }
+};
+
+/**
+ * Display metadata for any currency code.
+ * Unknown codes get a flag derived from the ISO 4217 country prefix
+ * (e.g. "TZS" → 🇹🇿), use the code itself as name and symbol, and take
+ * their minor units from Intl.
+ */
+const otherCurrencyInfo = new Map();
+export const getCurrencyInfo = (code) => {
+  if (CURRENCY_INFO[code]) return CURRENCY_INFO[code];
+  if (!otherCurrencyInfo.has(code)) {
+    const isCountryCode = /^[A-W][A-Z]/.test(code);
+    const flag = isCountryCode
+      ? String.fromCodePoint(...[...code.slice(0, 2)].map((ch) => 0x1f1a5 + ch.charCodeAt(0)))
+      : '🌐';
+    otherCurrencyInfo.set(code, { name: code, flag, symbol: code, minorUnits: intlMinorUnits(code) });
+  }
+  return otherCurrencyInfo.get(code);
 };
 
-// Fallback rates relative to USD (used when offline with no cache)
-const FALLBACK_RATES_FROM_USD = {
-  USD: 1,
-  EUR: 0.92,
-  CNY: 7.24,
-  MGA: 4500,
+// Decimals an amount in `currency` is kept and shown with
+export const getMinorUnits = (currency) => getCurrencyInfo(currency).minorUnits;
+
+// Seeds the fallback_rates table on install — only ever used by a phone
+// that has never fetched and hasn't imported fallback rates from another
+// one. Rates relative to USD; refresh them (and asOf) before a release.
+const BUNDLED_FALLBACK_RATES = {
+  asOf: '2025-01-01T00:00:00.000Z',
+  rates: {
+    USD: 1,
+    EUR: 0.92,
+    CNY: 7.24,
+    MGA: 4500,
+  },
 };
 
+// Validation errors the screens translate: `code` is a catalogue key and
+// `params` fill its {placeholders}; the message stays English for logs
+const codedError = (code, message, params = {}) => Object.assign(new Error(message), { code, params });
+
 // ─── Database setup ───────────────────────────────────────────────────────────
 const db = SQLite.openDatabaseSync('manakalo.db');
 
+// ─── Schema migrations ────────────────────────────────────────────────────────
+/**
+ * Ordered schema steps. The database remembers the last one it ran in
+ * `PRAGMA user_version`; on launch every newer step runs, each in its own
+ * transaction together with the user_version bump, so a failed step leaves
+ * the database exactly as the previous version had it.
+ *
+ * Rules for new steps:
+ *  - append only, never edit or reorder a released step
+ *  - keep them idempotent (IF NOT EXISTS, ensureColumn) — databases created
+ *    before versioning existed already have some of these tables
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'rates cache and conversion history',
+    up: () => {
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS rates_cache (
+          id       INTEGER PRIMARY KEY,
+          base     TEXT NOT NULL,
+          rates    TEXT NOT NULL,        -- JSON string
+          fetched_at TEXT NOT NULL
+        );
+      `);
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS conversion_history (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          from_currency TEXT NOT NULL,
+          to_currency   TEXT NOT NULL,
+          amount        REAL NOT NULL,
+          result        REAL NOT NULL,
+          rate          REAL NOT NULL,
+          converted_at  TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: 'rate snapshots',
+    up: () => {
+      // Every fetched rate set is kept here so trends can be charted later
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS rate_snapshots (
+          id         INTEGER PRIMARY KEY AUTOINCREMENT,
+          base       TEXT NOT NULL,
+          rates      TEXT NOT NULL,      -- JSON string
+          fetched_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_rate_snapshots_fetched_at
+          ON rate_snapshots (fetched_at);
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: 'currency catalogue',
+    up: () => {
+      // User's currency catalogue: which codes are shown, and in what order
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS currencies (
+          code     TEXT PRIMARY KEY,
+          position INTEGER NOT NULL
+        );
+      `);
+      const { count } = db.getFirstSync('SELECT COUNT(*) AS count FROM currencies');
+      if (count === 0) {
+        DEFAULT_CURRENCIES.forEach((code, position) => {
+          db.runSync('INSERT INTO currencies (code, position) VALUES (?, ?)', [code, position]);
+        });
+      }
+    },
+  },
+  {
+    version: 4,
+    name: 'rate provider on cache',
+    up: () => {
+      ensureColumn('rates_cache', 'provider', 'TEXT'); // RATE_PROVIDERS id(s)
+    },
+  },
+  {
+    version: 5,
+    name: 'street-rate overrides',
+    up: () => {
+      // Manual "street rate" overrides, one per currency pair
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS rate_overrides (
+          from_currency TEXT NOT NULL,
+          to_currency   TEXT NOT NULL,
+          mode          TEXT NOT NULL,     -- 'absolute' | 'spread'
+          value         REAL NOT NULL,
+          updated_at    TEXT NOT NULL,
+          PRIMARY KEY (from_currency, to_currency)
+        );
+      `);
+      // 1 = street-rate override applied
+      ensureColumn('conversion_history', 'rate_overridden', 'INTEGER NOT NULL DEFAULT 0');
+    },
+  },
+  {
+    version: 6,
+    name: 'history paging index',
+    up: () => {
+      db.execSync(`
+        CREATE INDEX IF NOT EXISTS idx_history_converted_at
+          ON conversion_history (converted_at, id);
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: 'settings and starred history',
+    up: () => {
+      // Key/value app settings; values are JSON strings
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS app_settings (
+          key   TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+      `);
+      // 1 = exempt from retention pruning
+      ensureColumn('conversion_history', 'starred', 'INTEGER NOT NULL DEFAULT 0');
+    },
+  },
+  {
+    version: 8,
+    name: 'rate alerts',
+    up: () => {
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS rate_alerts (
+          id                INTEGER PRIMARY KEY AUTOINCREMENT,
+          from_currency     TEXT NOT NULL,
+          to_currency       TEXT NOT NULL,
+          kind              TEXT NOT NULL,     -- 'above' | 'below' | 'change'
+          threshold         REAL NOT NULL,     -- rate, or % move for 'change'
+          active            INTEGER NOT NULL DEFAULT 1,
+          last_triggered_at TEXT,
+          created_at        TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: 'favorite pairs',
+    up: () => {
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS favorite_pairs (
+          id             INTEGER PRIMARY KEY AUTOINCREMENT,
+          from_currency  TEXT NOT NULL,
+          to_currency    TEXT NOT NULL,
+          default_amount REAL,                 -- NULL = show the 1-unit rate
+          position       INTEGER NOT NULL,
+          UNIQUE (from_currency, to_currency)
+        );
+      `);
+    },
+  },
+  {
+    version: 10,
+    name: 'history expression',
+    up: () => {
+      // What was typed in the amount field when it was a calculation ("250*12")
+      ensureColumn('conversion_history', 'expression', 'TEXT');
+    },
+  },
+  {
+    version: 11,
+    name: 'baskets',
+    up: () => {
+      // A basket's lines are conversion_history rows carrying its uid. The
+      // uid (not the id) is the link so it survives a backup merge, where
+      // ids are reassigned.
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS baskets (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          uid         TEXT NOT NULL UNIQUE,
+          name        TEXT NOT NULL,
+          to_currency TEXT NOT NULL,
+          total       REAL NOT NULL,
+          created_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+      ensureColumn('conversion_history', 'basket_uid', 'TEXT');
+      ensureColumn('conversion_history', 'label', 'TEXT');
+      db.execSync(`
+        CREATE INDEX IF NOT EXISTS idx_history_basket
+          ON conversion_history (basket_uid);
+      `);
+    },
+  },
+  {
+    version: 12,
+    name: 'fee profiles',
+    up: () => {
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS fee_profiles (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          name        TEXT NOT NULL UNIQUE,
+          currency    TEXT NOT NULL,       -- unit of fixed_fee / min_fee / max_fee
+          fixed_fee   REAL NOT NULL DEFAULT 0,
+          percent_fee REAL NOT NULL DEFAULT 0,
+          min_fee     REAL,                -- NULL = no minimum
+          max_fee     REAL,                -- NULL = no cap
+          created_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    },
+  },
+  {
+    version: 13,
+    name: 'rate provenance and fetch status',
+    up: () => {
+      ensureColumn('rates_cache', 'published_at', 'TEXT'); // JSON { providerId: provider's own timestamp }
+      ensureColumn('rates_cache', 'sources', 'TEXT');      // JSON { code: providerId it came from }
+      ensureColumn('rates_cache', 'invalidated', 'INTEGER NOT NULL DEFAULT 0');
+      // One row: the last live fetch attempt and the last error it hit.
+      // Device diagnostics — not part of backups.
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS rate_fetch_status (
+          id              INTEGER PRIMARY KEY CHECK (id = 1),
+          last_attempt_at TEXT,
+          last_error      TEXT,
+          last_error_at   TEXT
+        );
+        INSERT OR IGNORE INTO rate_fetch_status (id) VALUES (1);
+      `);
+    },
+  },
+  {
+    version: 14,
+    name: 'fallback rates',
+    up: () => {
+      // One row: the rates used offline when there is no cache, and how old
+      // they are. source: 'bundled', 'import' or the provider id(s).
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS fallback_rates (
+          id     INTEGER PRIMARY KEY CHECK (id = 1),
+          rates  TEXT NOT NULL,        -- JSON, relative to USD
+          as_of  TEXT NOT NULL,
+          source TEXT NOT NULL
+        );
+      `);
+      // Phones that already fetched start from their cache, not the bundle
+      const cached = db.getFirstSync('SELECT rates, fetched_at, provider FROM rates_cache WHERE id = 1');
+      db.runSync(
+        'INSERT OR IGNORE INTO fallback_rates (id, rates, as_of, source) VALUES (1, ?, ?, ?)',
+        cached
+          ? [cached.rates, cached.fetched_at, cached.provider ?? 'bundled']
+          : [JSON.stringify(BUNDLED_FALLBACK_RATES.rates), BUNDLED_FALLBACK_RATES.asOf, 'bundled']
+      );
+    },
+  },
+  {
+    version: 15,
+    name: 'historical rates',
+    up: () => {
+      // Rates a provider published for a past day, kept for good: they
+      // don't change, and a past-date conversion then works offline.
+      db.execSync(`
+        CREATE TABLE IF NOT EXISTS historical_rates (
+          date         TEXT PRIMARY KEY,   -- YYYY-MM-DD asked for
+          rates        TEXT NOT NULL,      -- JSON, relative to USD
+          provider     TEXT NOT NULL,
+          published_at TEXT,               -- provider's own date (weekends fall back to Friday)
+          fetched_at   TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 16,
+    name: 'history notes and tags',
+    up: () => {
+      // Free text ("Supplier Guangzhou deposit") and a JSON array of tags
+      // (see normalizeTags) — both NULL until the user adds some
+      ensureColumn('conversion_history', 'note', 'TEXT');
+      ensureColumn('conversion_history', 'tags', 'TEXT');
+    },
+  },
+];
+
+// Schema this build creates; backups record it
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const ensureColumn = (table, column, definition) => {
+  const columns = db.getAllSync(`PRAGMA table_info(${table})`);
+  if (!columns.some((c) => c.name === column)) {
+    db.execSync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+export const getSchemaVersion = () => db.getFirstSync('PRAGMA user_version').user_version;
+
+/**
+ * runMigrations()
+ * Brings the database up to SCHEMA_VERSION. Throws an Error naming the
+ * step that failed (original error in `cause`); steps before it stay applied.
+ */
+const runMigrations = () => {
+  const current = getSchemaVersion();
+  if (current > SCHEMA_VERSION) {
+    console.warn(`Database schema ${current} is newer than this app (${SCHEMA_VERSION})`);
+    return;
+  }
+
+  MIGRATIONS.filter((m) => m.version > current).forEach((migration) => {
+    try {
+      db.withTransactionSync(() => {
+        migration.up();
+        db.execSync(`PRAGMA user_version = ${migration.version}`);
+      });
+    } catch (e) {
+      const error = new Error(
+        `Database migration ${migration.version} (${migration.name}) failed: ${e.message}`
+      );
+      error.cause = e;
+      error.migrationVersion = migration.version;
+      throw error;
+    }
+  });
+};
+
+/**
+ * initRatesDB()
+ * Call once at startup, before any other function in this module.
+ * Throws if a migration fails — see runMigrations().
+ */
 export const initRatesDB = () => {
-  db.execSync(`
-    CREATE TABLE IF NOT EXISTS rates_cache (
-      id       INTEGER PRIMARY KEY,
-      base     TEXT NOT NULL,
-      rates    TEXT NOT NULL,        -- JSON string
-      fetched_at TEXT NOT NULL
-    );
-  `);
+  runMigrations();
+  pruneHistory();
+  pruneRateSnapshots();
+};
 
-  db.execSync(`
-    CREATE TABLE IF NOT EXISTS conversion_history (
-      id          INTEGER PRIMARY KEY AUTOINCREMENT,
-      from_currency TEXT NOT NULL,
-      to_currency   TEXT NOT NULL,
-      amount        REAL NOT NULL,
-      result        REAL NOT NULL,
-      rate          REAL NOT NULL,
-      converted_at  TEXT DEFAULT CURRENT_TIMESTAMP
-    );
-  `);
+// ─── Settings ─────────────────────────────────────────────────────────────────
+export const getSetting = (key, defaultValue = SETTINGS_DEFAULTS[key] ?? null) => {
+  try {
+    const row = db.getFirstSync('SELECT value FROM app_settings WHERE key = ?', [key]);
+    return row ? JSON.parse(row.value) : defaultValue;
+  } catch (e) {
+    return defaultValue;
+  }
+};
+
+export const setSetting = (key, value) => {
+  db.runSync(
+    'INSERT OR REPLACE INTO app_settings (key, value) VALUES (?, ?)',
+    [key, JSON.stringify(value)]
+  );
+  formatPrefs = null;
+};
+
+// formatAmount() runs on every render, so the number-format settings are
+// read once and kept in memory until a setting changes
+let formatPrefs = null;
+export const getFormatPrefs = () => {
+  if (!formatPrefs) {
+    formatPrefs = {
+      locale: getSetting('number_locale'),
+      symbolPosition: getSetting('symbol_position'),
+    };
+  }
+  return formatPrefs;
+};
+
+export const getCacheDurationMs = () => getSetting('cache_duration_hours') * 60 * 60 * 1000;
+
+// ─── Currency catalogue ───────────────────────────────────────────────────────
+/**
+ * getEnabledCurrencies()
+ * The codes the user chose to show, in their chosen order.
+ */
+export const getEnabledCurrencies = () => {
+  try {
+    const rows = db.getAllSync('SELECT code FROM currencies ORDER BY position ASC');
+    return rows.length ? rows.map((r) => r.code) : DEFAULT_CURRENCIES;
+  } catch (e) {
+    return DEFAULT_CURRENCIES;
+  }
+};
+
+/**
+ * setEnabledCurrencies(codes)
+ * Replaces the catalogue; array order becomes display order.
+ */
+export const setEnabledCurrencies = (codes) => {
+  db.withTransactionSync(() => {
+    db.runSync('DELETE FROM currencies');
+    codes.forEach((code, position) => {
+      db.runSync('INSERT INTO currencies (code, position) VALUES (?, ?)', [code, position]);
+    });
+  });
+};
+
+/**
+ * getAvailableCurrencies()
+ * Every code we have a rate for (last cached provider response, or the
+ * fallback rates when nothing was ever fetched), sorted alphabetically.
+ */
+export const getAvailableCurrencies = () => {
+  const cached = loadRatesFromCache();
+  return Object.keys(cached?.rates ?? getFallbackRates().rates).sort();
 };
 
 // ─── Cache helpers ────────────────────────────────────────────────────────────
-const saveRatesToCache = (rates) => {
+// `published` and `sources` come from fetchLiveRates()
+const saveRatesToCache = (rates, provider, published = {}, sources = {}) => {
   const now = new Date().toISOString();
+  saveRateSnapshot(rates, now);
+  saveFallbackRates(rates, now, provider);
+  const params = ['USD', JSON.stringify(rates), now, provider, JSON.stringify(published), JSON.stringify(sources)];
   const existing = db.getFirstSync('SELECT id FROM rates_cache WHERE id = 1');
   if (existing) {
     db.runSync(
-      'UPDATE rates_cache SET base = ?, rates = ?, fetched_at = ? WHERE id = 1',
-      ['USD', JSON.stringify(rates), now]
+      `UPDATE rates_cache
+       SET base = ?, rates = ?, fetched_at = ?, provider = ?, published_at = ?, sources = ?, invalidated = 0
+       WHERE id = 1`,
+      params
     );
   } else {
     db.runSync(
-      'INSERT INTO rates_cache (id, base, rates, fetched_at) VALUES (1, ?, ?, ?)',
-      ['USD', JSON.stringify(rates), now]
+      `INSERT INTO rates_cache (id, base, rates, fetched_at, provider, published_at, sources)
+       VALUES (1, ?, ?, ?, ?, ?, ?)`,
+      params
     );
   }
 };
 
+const saveRateSnapshot = (rates, fetchedAt) => {
+  try {
+    db.runSync(
+      'INSERT INTO rate_snapshots (base, rates, fetched_at) VALUES (?, ?, ?)',
+      ['USD', JSON.stringify(rates), fetchedAt]
+    );
+  } catch (e) {
+    console.warn('Snapshot save failed:', e);
+  }
+};
+
+// ─── Fallback rates ───────────────────────────────────────────────────────────
+// Every good fetch becomes the new fallback, so it is only ever as old as
+// this phone's last successful fetch (or an imported one, if newer).
+const saveFallbackRates = (rates, asOf, source) => {
+  try {
+    db.runSync(
+      'INSERT OR REPLACE INTO fallback_rates (id, rates, as_of, source) VALUES (1, ?, ?, ?)',
+      [JSON.stringify(rates), asOf, source]
+    );
+  } catch (e) {
+    console.warn('Fallback rates save failed:', e);
+  }
+};
+
+/**
+ * getFallbackRates()
+ * @returns { rates, asOf: ISO string, source: 'bundled' | 'import' | provider id(s), ageMinutes }
+ */
+export const getFallbackRates = () => {
+  let row = null;
+  try {
+    row = db.getFirstSync('SELECT * FROM fallback_rates WHERE id = 1');
+  } catch (e) {
+    console.warn('Fallback rates read failed:', e);
+  }
+  const fallback = row
+    ? { rates: JSON.parse(row.rates), asOf: row.as_of, source: row.source }
+    : { ...BUNDLED_FALLBACK_RATES, source: 'bundled' };
+  return { ...fallback, ageMinutes: Math.floor((Date.now() - new Date(fallback.asOf).getTime()) / 60000) };
+};
+
+const FALLBACK_FILE_KIND = 'manakalo-fallback-rates';
+
+// A small file another phone can import — see importFallbackRates()
+export const exportFallbackRates = () => {
+  const { rates, asOf, source } = getFallbackRates();
+  return { kind: FALLBACK_FILE_KIND, version: 1, asOf, source, rates };
+};
+
+/**
+ * importFallbackRates(bundle)
+ * Seeds this phone's fallback from exportFallbackRates() output.
+ * Throws an Error with a `code` (rateDetails.fallbackErrors in the
+ * catalogues) when the file is not a fallback rates file, or is older than
+ * the fallback already here.
+ * @returns the new getFallbackRates()
+ */
+export const importFallbackRates = (bundle) => {
+  if (bundle?.kind !== FALLBACK_FILE_KIND) {
+    throw codedError('notFallbackFile', 'This is not a Manakalo fallback rates file');
+  }
+  const asOf = new Date(bundle.asOf);
+  if (isNaN(asOf.getTime())) throw codedError('invalidDate', 'The file has no valid "as of" date');
+  const rates = bundle.rates ?? {};
+  const valid = Object.values(rates).every((rate) => typeof rate === 'number' && rate > 0);
+  if (!valid || rates.USD !== 1) throw codedError('invalidRates', 'The file has invalid rates');
+  if (asOf.getTime() <= new Date(getFallbackRates().asOf).getTime()) {
+    throw codedError('notNewer', 'These rates are not newer than the ones on this phone');
+  }
+
+  saveFallbackRates(rates, asOf.toISOString(), 'import');
+  return getFallbackRates();
+};
+
 const loadRatesFromCache = () => {
   const row = db.getFirstSync('SELECT * FROM rates_cache WHERE id = 1');
   if (!row) return null;
 
   const ageMs = Date.now() - new Date(row.fetched_at).getTime();
-  const isFresh = ageMs < CACHE_DURATION_MS;
+  const isFresh = !row.invalidated && ageMs < getCacheDurationMs();
 
   return {
     rates: JSON.parse(row.rates),
+    provider: row.provider ?? null,
     isFresh,
     fetchedAt: row.fetched_at,
     ageMinutes: Math.floor(ageMs / 60000),
   };
 };
 
-// ─── API fetch ────────────────────────────────────────────────────────────────
-const fetchLiveRates = async () => {
-  // AbortSignal.timeout() is not supported on all Android versions,
-  // so we build a manual timeout with AbortController instead.
+// ─── Rate providers ───────────────────────────────────────────────────────────
+/**
+ * A provider is a plain object:
+ *
+ *   {
+ *     id:        string,                 // stored with the cache, shown in the UI
+ *     label:     string,
+ *     isEnabled: () => boolean,          // optional — skipped when false
+ *     fetchRates: async () => ({
+ *       rates:       { [code]: number }, // units of `code` per 1 USD
+ *       publishedAt: string | null,      // provider's own timestamp, if any
+ *     }),
+ *   }
+ *
+ * Whatever base the source uses, adapters rebase to USD so the rest of
+ * the app (cache, convert, snapshots) never has to care.
+ */
+
+const FETCH_TIMEOUT_MS = 8000;
+
+// AbortSignal.timeout() is not supported on all Android versions,
+// so we build a manual timeout with AbortController instead.
+const fetchWithTimeout = async (url) => {
   const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), 8000);
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
 
   try {
-    const response = await fetch(
-      'https://open.er-api.com/v6/latest/USD',
-      { signal: controller.signal }
-    );
-    clearTimeout(timer);
+    const response = await fetch(url, { signal: controller.signal });
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    const data = await response.json();
-
-    // Extract only the currencies we need
-    return {
-      USD: data.rates.USD,
-      EUR: data.rates.EUR,
-      CNY: data.rates.CNY,
-      MGA: data.rates.MGA,
-    };
-  } catch (err) {
+    return response;
+  } finally {
     clearTimeout(timer);
-    throw err;
   }
 };
 
+// Re-expresses `rates` (relative to any base that includes USD) per 1 USD
+const rebaseToUSD = (rates) => {
+  if (!rates.USD) throw new Error('Response has no USD rate to rebase on');
+  const rebased = {};
+  Object.entries(rates).forEach(([code, rate]) => {
+    if (typeof rate === 'number' && rate > 0) rebased[code] = rate / rates.USD;
+  });
+  return rebased;
+};
+
+// Reads "a.b.c" out of a parsed JSON response
+const readPath = (data, path) =>
+  path ? path.split('.').reduce((node, key) => node?.[key], data) : data;
+
+/**
+ * Generic JSON endpoint.
+ *
+ * @param {
+ *   id, label: string,
+ *   url:       string,   // full URL returning JSON
+ *   ratesPath: string,   // dot path to the { code: rate } object, e.g. "rates"
+ *   base:      string,   // currency the rates are quoted against
+ *   timePath?: string,   // dot path to the publish timestamp
+ * }
+ */
+export const createJsonProvider = ({ id, label, url, ratesPath, base, timePath }) => ({
+  id,
+  label,
+  fetchRates: async () => {
+    const data = await (await fetchWithTimeout(url)).json();
+    const raw = readPath(data, ratesPath);
+    if (!raw || typeof raw !== 'object') throw new Error(`No rates at "${ratesPath}"`);
+
+    // Some APIs use lowercase codes — normalise to ISO 4217 upper case
+    const rates = {};
+    Object.entries(raw).forEach(([code, rate]) => { rates[code.toUpperCase()] = rate; });
+    rates[base.toUpperCase()] = 1;
+
+    const published = timePath ? readPath(data, timePath) : null;
+    return { rates: rebaseToUSD(rates), publishedAt: published ? String(published) : null };
+  },
+});
+
+/**
+ * ECB-style XML feed (eurofxref-daily.xml and compatible mirrors).
+ * Rates are per 1 EUR in <Cube currency="USD" rate="1.08"/> elements.
+ */
+export const createEcbXmlProvider = ({ id, label, url }) => ({
+  id,
+  label,
+  fetchRates: async () => {
+    const xml = await (await fetchWithTimeout(url)).text();
+    const rates = { EUR: 1 };
+    const cubeRe = /currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]/g;
+    let match;
+    while ((match = cubeRe.exec(xml)) !== null) rates[match[1]] = parseFloat(match[2]);
+    if (Object.keys(rates).length === 1) throw new Error('No <Cube> rates in feed');
+
+    const time = xml.match(/time=['"]([\d-]+)['"]/);
+    return { rates: rebaseToUSD(rates), publishedAt: time ? time[1] : null };
+  },
+});
+
+// Tried in this order; earlier providers win when two return the same code
+export const RATE_PROVIDERS = [
+  createJsonProvider({
+    id: 'open-er-api',
+    label: 'open.er-api.com',
+    url: 'https://open.er-api.com/v6/latest/USD',
+    ratesPath: 'rates',
+    base: 'USD',
+    timePath: 'time_last_update_utc',
+  }),
+  createEcbXmlProvider({
+    id: 'ecb',
+    label: 'European Central Bank',
+    url: 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml',
+  }),
+  createJsonProvider({
+    id: 'currency-api',
+    label: 'currency-api (jsDelivr)',
+    url: 'https://cdn.jsdelivr.net/npm/@fawazahmed0/currency-api@latest/v1/currencies/usd.json',
+    ratesPath: 'usd',
+    base: 'USD',
+    timePath: 'date',
+  }),
+];
+
+export const getProviderLabel = (providerId) =>
+  (providerId || '')
+    .split('+')
+    .map((id) => [...RATE_PROVIDERS, ...HISTORICAL_RATE_PROVIDERS].find((p) => p.id === id)?.label ?? id)
+    .join(' + ');
+
+/**
+ * Walks RATE_PROVIDERS in order until every enabled currency has a rate.
+ * A provider that lacks some codes (the ECB has no MGA) still contributes
+ * what it has, and the next one fills the gaps.
+ *
+ * @returns {
+ *   rates,
+ *   provider: 'id' | 'id+id',
+ *   published: { [providerId]: string | null },  // each provider's own timestamp
+ *   sources: { [code]: providerId },             // who supplied each rate
+ * }
+ */
+const fetchLiveRates = async () => {
+  const required = getEnabledCurrencies();
+  const merged = {};
+  const sources = {};
+  const published = {};
+  const answered = [];
+  const errors = [];
+
+  for (const provider of RATE_PROVIDERS) {
+    if (provider.isEnabled && !provider.isEnabled()) continue;
+    try {
+      const { rates, publishedAt } = await provider.fetchRates();
+      Object.entries(rates).forEach(([code, rate]) => {
+        if (merged[code] != null) return;
+        merged[code] = rate;
+        sources[code] = provider.id;
+      });
+      published[provider.id] = publishedAt ?? null;
+      answered.push(provider.id);
+      if (required.every((code) => merged[code] != null)) break;
+    } catch (err) {
+      errors.push(`${provider.id}: ${err.message}`);
+    }
+  }
+
+  if (answered.length === 0) {
+    throw new Error(errors.join('; ') || 'No rate provider enabled');
+  }
+  return { rates: merged, provider: answered.join('+'), published, sources };
+};
+
+// ─── Fetch status ─────────────────────────────────────────────────────────────
+// Remembers every live attempt, and the error of the last one that failed,
+// so Rate Details can tell a stale provider from a device that can't fetch.
+const recordFetchAttempt = (errorMessage = null) => {
+  const now = new Date().toISOString();
+  try {
+    db.runSync('UPDATE rate_fetch_status SET last_attempt_at = ? WHERE id = 1', [now]);
+    if (errorMessage) {
+      db.runSync(
+        'UPDATE rate_fetch_status SET last_error = ?, last_error_at = ? WHERE id = 1',
+        [errorMessage, now]
+      );
+    }
+  } catch (e) {
+    console.warn('Fetch status save failed:', e);
+  }
+};
+
+/**
+ * getRateDetails()
+ * Where the cached rates came from and how the last fetches went.
+ *
+ * @returns {
+ *   cache: null | {
+ *     rates, provider, fetchedAt,
+ *     published: { [providerId]: string | null },
+ *     sources: { [code]: providerId },
+ *     expiresAt: string,      // fetchedAt + the cache duration setting
+ *     invalidated: boolean,
+ *   },
+ *   lastAttemptAt, lastError, lastErrorAt,   // null = never
+ * }
+ */
+export const getRateDetails = () => {
+  const row = db.getFirstSync('SELECT * FROM rates_cache WHERE id = 1');
+  const status = db.getFirstSync('SELECT * FROM rate_fetch_status WHERE id = 1') ?? {};
+  const cache = row && {
+    rates: JSON.parse(row.rates),
+    provider: row.provider ?? null,
+    fetchedAt: row.fetched_at,
+    published: JSON.parse(row.published_at ?? '{}'),
+    sources: JSON.parse(row.sources ?? '{}'),
+    expiresAt: new Date(new Date(row.fetched_at).getTime() + getCacheDurationMs()).toISOString(),
+    invalidated: !!row.invalidated,
+  };
+  return {
+    cache,
+    lastAttemptAt: status.last_attempt_at ?? null,
+    lastError: status.last_error ?? null,
+    lastErrorAt: status.last_error_at ?? null,
+  };
+};
+
+// Keeps the cached rates (still used offline) but makes the next
+// getRates() fetch live
+export const invalidateRatesCache = () => {
+  db.runSync('UPDATE rates_cache SET invalidated = 1 WHERE id = 1');
+};
+
+// ─── Live-rate listeners ──────────────────────────────────────────────────────
+// Other modules (rate alerts) react to every fresh provider response here
+// rather than getRates() knowing about them.
+const liveRatesListeners = new Set();
+
+export const addLiveRatesListener = (listener) => {
+  liveRatesListeners.add(listener);
+  return () => liveRatesListeners.delete(listener);
+};
+
+const notifyLiveRates = (rates) => {
+  liveRatesListeners.forEach((listener) => {
+    Promise.resolve()
+      .then(() => listener(rates))
+      .catch((e) => console.warn('Live rates listener failed:', e));
+  });
+};
+
 // ─── Main function ────────────────────────────────────────────────────────────
 /**
- * getRates()
+ * getRates({ force })
  * Returns rates relative to USD, plus metadata about the source.
+ * `force` skips a fresh cache and goes to the providers.
  *
  * @returns {
- *   rates: { USD, EUR, CNY, MGA },
+ *   rates: { [code]: number },   // every code the source returned
  *   source: 'live' | 'cache' | 'fallback',
- *   fetchedAt: string | null,
- *   ageMinutes: number | null,
+ *   provider: string | null,     // RATE_PROVIDERS id(s) the rates came from
+ *   fetchedAt: string,           // for 'fallback', the fallback's "as of" date
+ *   ageMinutes: number,
+ *   stale: boolean,              // true when a live fetch was due but failed
  * }
  */
-export const getRates = async () => {
+export const getRates = async ({ force = false } = {}) => {
   // 1. Check cache first
   const cached = loadRatesFromCache();
 
-  if (cached?.isFresh) {
-    return { rates: cached.rates, source: 'cache', fetchedAt: cached.fetchedAt, ageMinutes: cached.ageMinutes };
+  if (cached?.isFresh && !force) {
+    return { rates: cached.rates, source: 'cache', provider: cached.provider, fetchedAt: cached.fetchedAt, ageMinutes: cached.ageMinutes, stale: false };
   }
 
-  // 2. Try to fetch live
+  // 2. Try each provider live
   try {
-    const rates = await fetchLiveRates();
-    saveRatesToCache(rates);
-    return { rates, source: 'live', fetchedAt: new Date().toISOString(), ageMinutes: 0 };
+    const { rates, provider, published, sources } = await fetchLiveRates();
+    saveRatesToCache(rates, provider, published, sources);
+    recordFetchAttempt();
+    notifyLiveRates(rates);
+    return { rates, source: 'live', provider, fetchedAt: new Date().toISOString(), ageMinutes: 0, stale: false };
   } catch (err) {
     console.warn('Rate fetch failed:', err.message);
+    recordFetchAttempt(err.message);
 
     // 3. Use stale cache if available
     if (cached) {
-      return { rates: cached.rates, source: 'cache', fetchedAt: cached.fetchedAt, ageMinutes: cached.ageMinutes };
+      return { rates: cached.rates, source: 'cache', provider: cached.provider, fetchedAt: cached.fetchedAt, ageMinutes: cached.ageMinutes, stale: true };
     }
 
-    // 4. Last resort: built-in fallback
-    return { rates: FALLBACK_RATES_FROM_USD, source: 'fallback', fetchedAt: null, ageMinutes: null };
+    // 4. Last resort: the dated fallback rates
+    const fallback = getFallbackRates();
+    return { rates: fallback.rates, source: 'fallback', provider: null, fetchedAt: fallback.asOf, ageMinutes: fallback.ageMinutes, stale: true };
   }
 };
 
 // ─── Conversion logic ─────────────────────────────────────────────────────────
+// Rates are kept as an exact fraction { num, den } of decimals (see
+// decimal.js): the cross rate through USD is rates[to] / rates[from], and
+// convert() divides only once, when rounding the result to the target
+// currency's minor units — so no drift builds up along the way.
+const invertRate = ({ num, den }) => ({ num: den, den: num });
+
+// null when the rate set doesn't know one of the currencies
+const getRateFraction = (fromCurrency, toCurrency, rates, overrides) => {
+  if (rates[fromCurrency] == null || rates[toCurrency] == null) return null;
+  const official = { num: toDecimal(rates[toCurrency]), den: toDecimal(rates[fromCurrency]) };
+  if (!overrides || fromCurrency === toCurrency) {
+    return { fraction: official, override: null };
+  }
+
+  const direct = overrides[overrideKey(fromCurrency, toCurrency)];
+  if (direct) {
+    return { fraction: applyOverride(direct, official), override: direct };
+  }
+
+  // An override entered as EUR → MGA also drives MGA → EUR
+  const reverse = overrides[overrideKey(toCurrency, fromCurrency)];
+  if (reverse) {
+    return { fraction: invertRate(applyOverride(reverse, invertRate(official))), override: reverse };
+  }
+
+  return { fraction: official, override: null };
+};
+
+/**
+ * getEffectiveRate(from, to, rates, overrides)
+ * How many `to` one `from` buys. Uses a manual override for the pair
+ * (or its reverse) when one exists in `overrides`, else the official
+ * provider rate through USD.
+ *
+ * @returns { rate: number, officialRate: number, override: object | null }
+ */
+export const getEffectiveRate = (fromCurrency, toCurrency, rates, overrides = null) => {
+  const officialRate = rates[toCurrency] / rates[fromCurrency];
+  const effective = getRateFraction(fromCurrency, toCurrency, rates, overrides);
+  if (!effective) return { rate: NaN, officialRate, override: null };
+  const { fraction, override } = effective;
+  return { rate: toNumber(fraction.num) / toNumber(fraction.den), officialRate, override };
+};
+
 /**
  * Convert an amount from one currency to another.
  * All rates are relative to USD, so we go: FROM → USD → TO.
+ * Pass the map from getRateOverrides() to apply street-rate overrides.
+ * The result is rounded to the minor units of `toCurrency` — use
+ * getEffectiveRate() for the rate itself.
  */
-export const convert = (amount, fromCurrency, toCurrency, rates) => {
+export const convert = (amount, fromCurrency, toCurrency, rates, overrides = null) => {
   if (!rates || isNaN(amount) || amount === '') return 0;
-  const amountUSD = parseFloat(amount) / rates[fromCurrency];
-  return amountUSD * rates[toCurrency];
+  const effective = getRateFraction(fromCurrency, toCurrency, rates, overrides);
+  if (!effective) return NaN;
+  const { num, den } = effective.fraction;
+  return toNumber(divide(multiply(amount, num), den, getMinorUnits(toCurrency)));
 };
 
-// ─── History helpers ──────────────────────────────────────────────────────────
-export const saveToHistory = (from, to, amount, result, rate) => {
+// ─── Money arithmetic ─────────────────────────────────────────────────────────
+// `value` rounded to the currency's minor units, decimal-exact
+export const roundMoney = (value, currency) => toNumber(roundTo(value, getMinorUnits(currency)));
+
+// Sum of amounts in one currency, rounded to its minor units
+export const sumMoney = (values, currency) =>
+  toNumber(roundTo(values.reduce((sum, value) => add(sum, value), toDecimal(0)), getMinorUnits(currency)));
+
+export const subtractMoney = (a, b, currency) => toNumber(roundTo(subtract(a, b), getMinorUnits(currency)));
+
+// ─── Rate overrides ("street rate") ───────────────────────────────────────────
+// mode 'absolute' → value is the rate itself (1 FROM = value TO)
+// mode 'spread'   → value is a percentage applied over the official rate
+export const OVERRIDE_MODES = ['absolute', 'spread'];
+
+const overrideKey = (from, to) => `${from}/${to}`;
+
+// Works on { num, den } rate fractions — see getRateFraction()
+const applyOverride = (override, { num, den }) =>
+  override.mode === 'spread'
+    ? { num: multiply(num, add(100, override.value)), den: multiply(den, 100) }
+    : { num: toDecimal(override.value), den: toDecimal(1) };
+
+/**
+ * getRateOverrides()
+ * All overrides keyed by "FROM/TO", ready to pass to convert().
+ */
+export const getRateOverrides = () => {
+  try {
+    const map = {};
+    db.getAllSync('SELECT * FROM rate_overrides').forEach((row) => {
+      map[overrideKey(row.from_currency, row.to_currency)] = {
+        from: row.from_currency,
+        to: row.to_currency,
+        mode: row.mode,
+        value: row.value,
+        updatedAt: row.updated_at,
+      };
+    });
+    return map;
+  } catch (e) {
+    return {};
+  }
+};
+
+export const saveRateOverride = (from, to, mode, value) => {
+  if (!OVERRIDE_MODES.includes(mode)) {
+    throw codedError('unknownMode', `Unknown override mode: ${mode}`, { mode });
+  }
+  if (mode === 'absolute' && !(value > 0)) throw codedError('rateNotPositive', 'Rate must be greater than 0');
+  if (mode === 'spread' && (isNaN(value) || value <= -100)) {
+    throw codedError('spreadTooLow', 'Spread must be above -100%');
+  }
+
+  // Only one override per pair, whichever direction it was entered in
+  db.runSync(
+    'DELETE FROM rate_overrides WHERE from_currency = ? AND to_currency = ?',
+    [to, from]
+  );
+  db.runSync(
+    `INSERT OR REPLACE INTO rate_overrides (from_currency, to_currency, mode, value, updated_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    [from, to, mode, value, new Date().toISOString()]
+  );
+};
+
+export const deleteRateOverride = (from, to) => {
+  db.runSync(
+    `DELETE FROM rate_overrides
+     WHERE (from_currency = ? AND to_currency = ?) OR (from_currency = ? AND to_currency = ?)`,
+    [from, to, to, from]
+  );
+};
+
+// ─── Fee profiles ─────────────────────────────────────────────────────────────
+// What a transfer really costs: mobile money (MVola, Orange Money, Airtel Money)
+// or a bank charges fixed_fee + percent_fee % of the amount sent, optionally
+// clamped to [min_fee, max_fee]. Fees are taken from the amount sent, so the
+// recipient gets net = gross − fee.
+export const getFeeProfiles = () => {
+  try {
+    return db.getAllSync('SELECT * FROM fee_profiles ORDER BY name COLLATE NOCASE ASC');
+  } catch (e) {
+    return [];
+  }
+};
+
+export const getFeeProfile = (id) => {
+  if (id == null) return null;
   try {
+    return db.getFirstSync('SELECT * FROM fee_profiles WHERE id = ?', [id]) ?? null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * saveFeeProfile({ id, name, currency, fixedFee, percentFee, minFee, maxFee })
+ * Inserts a profile, or updates it when `id` is given.
+ * @returns the profile id
+ */
+export const saveFeeProfile = ({ id = null, name, currency, fixedFee = 0, percentFee = 0, minFee = null, maxFee = null }) => {
+  const trimmed = name.trim();
+  if (!trimmed) throw codedError('noName', 'Give the profile a name');
+  if (!(fixedFee >= 0) || !(percentFee >= 0)) throw codedError('negativeFee', 'Fees cannot be negative');
+  if (percentFee >= 100) throw codedError('percentTooHigh', 'Percentage fee must be below 100');
+  if (minFee != null && maxFee != null && minFee > maxFee) {
+    throw codedError('minAboveMax', 'Minimum fee is above the maximum');
+  }
+
+  const params = [trimmed, currency, fixedFee, percentFee, minFee, maxFee];
+  if (id != null) {
     db.runSync(
-      'INSERT INTO conversion_history (from_currency, to_currency, amount, result, rate) VALUES (?, ?, ?, ?, ?)',
-      [from, to, amount, result, rate]
+      `UPDATE fee_profiles
+       SET name = ?, currency = ?, fixed_fee = ?, percent_fee = ?, min_fee = ?, max_fee = ?
+       WHERE id = ?`,
+      [...params, id]
     );
-    // Keep only the most recent HISTORY_MAX rows for storage efficiency
+    return id;
+  }
+  return db.runSync(
+    `INSERT INTO fee_profiles (name, currency, fixed_fee, percent_fee, min_fee, max_fee)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    params
+  ).lastInsertRowId;
+};
+
+export const deleteFeeProfile = (id) => {
+  db.runSync('DELETE FROM fee_profiles WHERE id = ?', [id]);
+};
+
+// Fixed / min / max expressed in the sending currency, and the percentage as
+// an exact decimal (2.5 → 0.025) — null when the rates don't list the
+// profile's currency or the sending one
+const feeBounds = (profile, currency, rates) => {
+  const inSending = (value) => (value == null ? null : convert(value, profile.currency, currency, rates));
+  const bounds = {
+    fixed: inSending(profile.fixed_fee),
+    min: inSending(profile.min_fee),
+    max: inSending(profile.max_fee),
+    pct: divide(profile.percent_fee, 100, toDecimal(profile.percent_fee).s + 2),
+  };
+  return [bounds.fixed, bounds.min, bounds.max].some(Number.isNaN) ? null : bounds;
+};
+
+// fixed + pct of `amount`, kept within min / max and never above `amount`
+const feeOn = (amount, { fixed, min, max, pct }) => {
+  let fee = add(fixed, multiply(amount, pct));
+  if (compare(fee, min ?? 0) < 0) fee = toDecimal(min ?? 0);
+  if (max != null && compare(fee, max) > 0) fee = toDecimal(max);
+  return compare(fee, amount) > 0 ? toDecimal(amount) : fee;
+};
+
+/**
+ * applyFees(gross, currency, profile, rates)
+ * @param gross     amount sent, in `currency`
+ * @returns { gross, fee, net } in `currency`, or null when there is no rate
+ *          to convert the profile's fees with
+ */
+export const applyFees = (gross, currency, profile, rates) => {
+  const bounds = feeBounds(profile, currency, rates);
+  if (!bounds || isNaN(gross)) return null;
+  const places = getMinorUnits(currency);
+  const sent = roundTo(gross, places);
+  const fee = roundTo(feeOn(sent, bounds), places);
+  return { gross: toNumber(sent), fee: toNumber(fee), net: toNumber(subtract(sent, fee)) };
+};
+
+/**
+ * solveGrossForNet(net, currency, profile, rates)
+ * The reverse of applyFees: how much must be sent so `net` arrives.
+ * net(gross) is increasing, so solve the unclamped case and fall back to
+ * the min / max branch when the fee lands outside its bounds. The answer is
+ * rounded to the minor unit, one unit up if rounding left the recipient short.
+ * @returns gross, in `currency`, or null when there is no rate to convert
+ *          the profile's fees with
+ */
+export const solveGrossForNet = (net, currency, profile, rates) => {
+  const bounds = feeBounds(profile, currency, rates);
+  if (!bounds || isNaN(net)) return null;
+  const places = getMinorUnits(currency);
+
+  // A few guard digits, so the min / max test below isn't thrown by rounding
+  let gross = divide(add(net, bounds.fixed), subtract(1, bounds.pct), places + 6);
+  const fee = add(bounds.fixed, multiply(gross, bounds.pct));
+  if (bounds.min != null && compare(fee, bounds.min) < 0) gross = add(net, bounds.min);
+  else if (bounds.max != null && compare(fee, bounds.max) > 0) gross = add(net, bounds.max);
+
+  const rounded = toNumber(roundTo(gross, places));
+  const short = compare(applyFees(rounded, currency, profile, rates).net, roundTo(net, places)) < 0;
+  return short ? toNumber(add(rounded, 10 ** -places)) : rounded;
+};
+
+// ─── History helpers ──────────────────────────────────────────────────────────
+/**
+ * saveToHistory(from, to, amount, result, rate, rateOverridden, expression)
+ * Amount and result are stored rounded to each currency's minor units, so
+ * they read back exactly as they were shown (and as a bank statement has them).
+ * @param expression  the calculation typed in the amount field ("250*12"),
+ *                    or null when a plain number was entered
+ */
+export const saveToHistory = (from, to, amount, result, rate, rateOverridden = false, expression = null) => {
+  try {
     db.runSync(
-      `DELETE FROM conversion_history
-       WHERE id NOT IN (
-         SELECT id FROM conversion_history
-         ORDER BY converted_at DESC
-         LIMIT ?
-       )`,
-      [HISTORY_MAX]
+      `INSERT INTO conversion_history
+         (from_currency, to_currency, amount, result, rate, rate_overridden, expression)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [from, to, roundMoney(amount, from), roundMoney(result, to), rate, rateOverridden ? 1 : 0, expression]
     );
   } catch (e) {
     console.warn('History save failed:', e);
@@ -206,18 +1237,877 @@ export const getHistory = (limit = 30) => {
   }
 };
 
+// One row by id, or null when it has been deleted
+export const getHistoryEntry = (id) => {
+  try {
+    return db.getFirstSync('SELECT * FROM conversion_history WHERE id = ?', [id]);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Builds the WHERE clause shared by queryHistory() and countHistory().
+ *
+ * @param filters {
+ *   search?: string,   // matched against amount and result
+ *   from?: string,     // from_currency
+ *   to?: string,       // to_currency
+ *   sinceDays?: number // only rows from the last N days
+ *   tag?: string,      // rows carrying this tag
+ *   starred?: boolean, // only starred rows
+ * }
+ */
+const historyWhere = ({ search, from, to, sinceDays, tag, starred } = {}) => {
+  const clauses = [];
+  const params = [];
+
+  // Typed in the chosen number format ("1 234,5" in fr-MG) — compared with
+  // the stored REAL as text ("1234.5")
+  const digits = parseAmountInput(search || '').raw.replace(/^\.$/, '');
+  if (digits) {
+    const term = `%${digits}%`;
+    clauses.push('(CAST(amount AS TEXT) LIKE ? OR CAST(result AS TEXT) LIKE ?)');
+    params.push(term, term);
+  }
+  if (from) {
+    clauses.push('from_currency = ?');
+    params.push(from);
+  }
+  if (to) {
+    clauses.push('to_currency = ?');
+    params.push(to);
+  }
+  if (sinceDays) {
+    // converted_at is SQLite's CURRENT_TIMESTAMP format: "YYYY-MM-DD HH:MM:SS" (UTC)
+    const since = new Date(Date.now() - sinceDays * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .replace('T', ' ')
+      .slice(0, 19);
+    clauses.push('converted_at >= ?');
+    params.push(since);
+  }
+  if (tag) {
+    clauses.push('EXISTS (SELECT 1 FROM json_each(conversion_history.tags) WHERE value = ?)');
+    params.push(tag);
+  }
+  if (starred) clauses.push('starred = 1');
+  return { clauses, params };
+};
+
+/**
+ * queryHistory(filters, cursor, pageSize)
+ * One page of history, newest first. Pass the returned `nextCursor` back
+ * in to get the following page; it is null once there is nothing left.
+ *
+ * @returns { rows: object[], nextCursor: { convertedAt, id } | null }
+ */
+export const queryHistory = (filters = {}, cursor = null, pageSize = 30) => {
+  const { clauses, params } = historyWhere(filters);
+  if (cursor) {
+    clauses.push('(converted_at < ? OR (converted_at = ? AND id < ?))');
+    params.push(cursor.convertedAt, cursor.convertedAt, cursor.id);
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+  try {
+    const rows = db.getAllSync(
+      `SELECT * FROM conversion_history ${where}
+       ORDER BY converted_at DESC, id DESC
+       LIMIT ?`,
+      [...params, pageSize]
+    );
+    const last = rows[rows.length - 1];
+    const nextCursor =
+      rows.length === pageSize ? { convertedAt: last.converted_at, id: last.id } : null;
+    return { rows, nextCursor };
+  } catch (e) {
+    console.warn('History query failed:', e);
+    return { rows: [], nextCursor: null };
+  }
+};
+
+/**
+ * getAllHistory(filters)
+ * Every row matching `filters`, newest first — no paging. Used by export.
+ */
+export const getAllHistory = (filters = {}) => {
+  const { clauses, params } = historyWhere(filters);
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  try {
+    return db.getAllSync(
+      `SELECT * FROM conversion_history ${where} ORDER BY converted_at DESC, id DESC`,
+      params
+    );
+  } catch (e) {
+    console.warn('History query failed:', e);
+    return [];
+  }
+};
+
+export const countHistory = (filters = {}) => {
+  const { clauses, params } = historyWhere(filters);
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  try {
+    return db.getFirstSync(`SELECT COUNT(*) AS count FROM conversion_history ${where}`, params).count;
+  } catch (e) {
+    return 0;
+  }
+};
+
+/**
+ * getHistoryPairs()
+ * Distinct currency pairs present in the history, most used first.
+ */
+export const getHistoryPairs = () => {
+  try {
+    return db.getAllSync(
+      `SELECT from_currency AS "from", to_currency AS "to", COUNT(*) AS count
+       FROM conversion_history
+       GROUP BY from_currency, to_currency
+       ORDER BY count DESC`
+    );
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * normalizeTags(input)
+ * "Supplier, #China  deposit" → ['supplier', 'china deposit']: split on
+ * commas, '#' and case dropped, duplicates removed.
+ * @param input  the text typed in the tags field, or an array of tags
+ */
+export const normalizeTags = (input) => {
+  const parts = Array.isArray(input) ? input : String(input ?? '').split(',');
+  const tags = parts
+    .map((tag) => String(tag).trim().replace(/^#+/, '').replace(/\s+/g, ' ').trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+};
+
+// The tags of a history row, as an array
+export const parseHistoryTags = (row) => {
+  try {
+    return row?.tags ? normalizeTags(JSON.parse(row.tags)) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * getHistoryTags()
+ * Every tag used in the history, most used first.
+ * @returns [{ tag, count }]
+ */
+export const getHistoryTags = () => {
+  try {
+    return db.getAllSync(
+      `SELECT value AS tag, COUNT(*) AS count
+       FROM conversion_history, json_each(conversion_history.tags)
+       GROUP BY value
+       ORDER BY count DESC, value ASC`
+    );
+  } catch (e) {
+    return [];
+  }
+};
+
+// An empty note or tag list is stored as NULL
+export const setHistoryNote = (id, note, tags) => {
+  const text = (note ?? '').trim();
+  const normalized = normalizeTags(tags);
+  db.runSync('UPDATE conversion_history SET note = ?, tags = ? WHERE id = ?', [
+    text || null,
+    normalized.length ? JSON.stringify(normalized) : null,
+    id,
+  ]);
+};
+
+export const setHistoryStarred = (id, starred) => {
+  db.runSync('UPDATE conversion_history SET starred = ? WHERE id = ?', [starred ? 1 : 0, id]);
+};
+
+// A saved basket lost one of its lines: recompute its total, or remove it
+// once no line is left
+const refreshBasket = (uid) => {
+  const lines = db.getAllSync('SELECT result, to_currency FROM conversion_history WHERE basket_uid = ?', [uid]);
+  if (!lines.length) {
+    db.runSync('DELETE FROM baskets WHERE uid = ?', [uid]);
+    return;
+  }
+  const total = sumMoney(lines.map((line) => line.result), lines[0].to_currency);
+  db.runSync('UPDATE baskets SET total = ? WHERE uid = ?', [total, uid]);
+};
+
+export const deleteHistoryEntry = (id) => {
+  const row = db.getFirstSync('SELECT basket_uid FROM conversion_history WHERE id = ?', [id]);
+  db.withTransactionSync(() => {
+    db.runSync('DELETE FROM conversion_history WHERE id = ?', [id]);
+    if (row?.basket_uid) refreshBasket(row.basket_uid);
+  });
+};
+
+// Saved baskets go too — their lines are history rows
 export const clearHistory = () => {
-  db.runSync('DELETE FROM conversion_history');
+  db.withTransactionSync(() => {
+    db.runSync('DELETE FROM conversion_history');
+    db.runSync('DELETE FROM baskets');
+  });
+};
+
+// ─── Retention ────────────────────────────────────────────────────────────────
+export const getRetentionPolicy = () => getSetting('history_retention');
+
+export const setRetentionPolicy = (policy) => {
+  if (!RETENTION_MODES.includes(policy.mode)) throw new Error(`Unknown retention mode: ${policy.mode}`);
+  if (policy.mode !== 'unlimited' && !(policy.value > 0)) throw new Error('Retention value must be greater than 0');
+  setSetting('history_retention', policy);
+};
+
+/**
+ * pruneHistory()
+ * Applies the retention policy. Runs once per launch from initRatesDB —
+ * never on insert — and never touches starred rows or saved basket lines.
+ *
+ * @returns number of rows deleted
+ */
+export const pruneHistory = () => {
+  const { mode, value } = getRetentionPolicy();
+  try {
+    if (mode === 'count') {
+      return db.runSync(
+        `DELETE FROM conversion_history
+         WHERE starred = 0 AND basket_uid IS NULL AND id NOT IN (
+           SELECT id FROM conversion_history
+           WHERE starred = 0 AND basket_uid IS NULL
+           ORDER BY converted_at DESC, id DESC
+           LIMIT ?
+         )`,
+        [value]
+      ).changes;
+    }
+    if (mode === 'age') {
+      return db.runSync(
+        `DELETE FROM conversion_history
+         WHERE starred = 0 AND basket_uid IS NULL AND converted_at < datetime('now', ?)`,
+        [`-${value} days`]
+      ).changes;
+    }
+    return 0;
+  } catch (e) {
+    console.warn('History prune failed:', e);
+    return 0;
+  }
+};
+
+// ─── Trends ───────────────────────────────────────────────────────────────────
+/**
+ * getRateSnapshots(days)
+ * Returns every stored rate set fetched in the last `days` days, oldest first.
+ */
+export const getRateSnapshots = (days) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  try {
+    return db
+      .getAllSync(
+        'SELECT * FROM rate_snapshots WHERE fetched_at >= ? ORDER BY fetched_at ASC',
+        [since]
+      )
+      .map((row) => ({ rates: JSON.parse(row.rates), fetchedAt: row.fetched_at }));
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * pruneRateSnapshots()
+ * Keeps every snapshot of the last SNAPSHOT_FULL_DAYS days and one per day
+ * (the last fetched) before that. Runs once per launch from initRatesDB.
+ *
+ * @returns number of rows deleted
+ */
+export const pruneRateSnapshots = () => {
+  const cutoff = new Date(Date.now() - SNAPSHOT_FULL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  try {
+    // SQLite takes the bare `id` from the row that holds each day's MAX()
+    return db.runSync(
+      `DELETE FROM rate_snapshots
+       WHERE fetched_at < ? AND id NOT IN (
+         SELECT id FROM (
+           SELECT id, MAX(fetched_at) FROM rate_snapshots
+           GROUP BY substr(fetched_at, 1, 10)
+         )
+       )`,
+      [cutoff]
+    ).changes;
+  } catch (e) {
+    console.warn('Snapshot prune failed:', e);
+    return 0;
+  }
+};
+
+/**
+ * getPairTrend(from, to, days)
+ * Rate of 1 `from` in `to` over the last `days` days, one point per day
+ * (the last snapshot of that day wins).
+ *
+ * @returns [{ date: 'YYYY-MM-DD', rate: number }]
+ */
+export const getPairTrend = (from, to, days) => {
+  const byDay = {};
+  getRateSnapshots(days).forEach(({ rates, fetchedAt }) => {
+    if (rates[from] == null || rates[to] == null) return;
+    byDay[fetchedAt.slice(0, 10)] = getEffectiveRate(from, to, rates).rate;
+  });
+  return Object.keys(byDay)
+    .sort()
+    .map((date) => ({ date, rate: byDay[date] }));
+};
+
+/**
+ * getSnapshotBefore(iso)
+ * The latest stored rate set fetched at or before `iso`, or null.
+ */
+export const getSnapshotBefore = (iso) => {
+  try {
+    const row = db.getFirstSync(
+      'SELECT * FROM rate_snapshots WHERE fetched_at <= ? ORDER BY fetched_at DESC LIMIT 1',
+      [iso]
+    );
+    return row ? { rates: JSON.parse(row.rates), fetchedAt: row.fetched_at } : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * getPreviousSnapshot()
+ * The rate set fetched just before the latest one — what "change since
+ * last update" compares against. Null until two fetches have happened.
+ */
+export const getPreviousSnapshot = () => {
+  try {
+    const row = db.getFirstSync(
+      'SELECT * FROM rate_snapshots ORDER BY fetched_at DESC LIMIT 1 OFFSET 1'
+    );
+    return row ? { rates: JSON.parse(row.rates), fetchedAt: row.fetched_at } : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// ─── Historical rates ─────────────────────────────────────────────────────────
+/**
+ * A historical provider is { id, label, fetchRatesOn: async (date) => … },
+ * returning what fetchRates() does (see Rate providers) for a past day
+ * ('YYYY-MM-DD').
+ */
+export const createDatedJsonProvider = ({ id, label, urlFor, ratesPath, base, timePath }) => ({
+  id,
+  label,
+  fetchRatesOn: (date) =>
+    createJsonProvider({ id, label, url: urlFor(date), ratesPath, base, timePath }).fetchRates(),
+});
+
+// Tried in this order; the first that knows both currencies wins
+export const HISTORICAL_RATE_PROVIDERS = [
+  createDatedJsonProvider({
+    id: 'currency-api',
+    label: 'currency-api (jsDelivr)',
+    urlFor: (date) => `https://cdn.jsdelivr.net/npm/@fawazahmed0/currency-api@${date}/v1/currencies/usd.json`,
+    ratesPath: 'usd',
+    base: 'USD',
+    timePath: 'date',
+  }),
+  // ECB reference rates back to 1999 — no MGA
+  createDatedJsonProvider({
+    id: 'frankfurter',
+    label: 'Frankfurter (ECB)',
+    urlFor: (date) => `https://api.frankfurter.app/${date}?from=USD`,
+    ratesPath: 'rates',
+    base: 'USD',
+    timePath: 'date',
+  }),
+];
+
+// The newest snapshot matching `where` that has a rate for both currencies
+const findSnapshotWithPair = (where, params, from, to) => {
+  try {
+    const rows = db.getAllSync(
+      `SELECT * FROM rate_snapshots WHERE ${where} ORDER BY fetched_at DESC LIMIT 50`,
+      params
+    );
+    const row = rows
+      .map((r) => ({ rates: JSON.parse(r.rates), fetchedAt: r.fetched_at }))
+      .find(({ rates }) => rates[from] != null && rates[to] != null);
+    return row ?? null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const fetchHistoricalRates = async (date, from, to) => {
+  const saved = db.getFirstSync('SELECT * FROM historical_rates WHERE date = ?', [date]);
+  if (saved) {
+    const rates = JSON.parse(saved.rates);
+    if (rates[from] != null && rates[to] != null) {
+      return { rates, provider: saved.provider, publishedAt: saved.published_at };
+    }
+  }
+
+  for (const provider of HISTORICAL_RATE_PROVIDERS) {
+    try {
+      const { rates, publishedAt } = await provider.fetchRatesOn(date);
+      if (rates[from] == null || rates[to] == null) continue;
+      db.runSync(
+        `INSERT OR REPLACE INTO historical_rates (date, rates, provider, published_at, fetched_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [date, JSON.stringify(rates), provider.id, publishedAt, new Date().toISOString()]
+      );
+      return { rates, provider: provider.id, publishedAt };
+    } catch (e) {
+      console.warn(`Historical rates from ${provider.id} failed:`, e.message);
+    }
+  }
+  return null;
+};
+
+/**
+ * getRatesOn(date, from, to)
+ * The rate set in effect on `date` ('YYYY-MM-DD', a UTC day like the trend
+ * chart) for converting `from` → `to`. Tries, in order:
+ *   1. the last snapshot this phone saved that day
+ *   2. a provider's rates for that day (saved from an earlier lookup, or
+ *      fetched now when online)
+ *   3. the last snapshot saved before that day
+ *
+ * @returns {
+ *   rates,
+ *   source:   'snapshot' | 'provider' | 'earlier-snapshot',
+ *   asOf:     string,        // snapshot time, or the provider's own date
+ *   provider: string | null,
+ * } | null when nothing covers the pair
+ */
+export const getRatesOn = async (date, from, to) => {
+  const dayStart = `${date}T00:00:00.000Z`;
+  const nextDay = new Date(new Date(dayStart).getTime() + 24 * 60 * 60 * 1000).toISOString();
+
+  const sameDay = findSnapshotWithPair('fetched_at >= ? AND fetched_at < ?', [dayStart, nextDay], from, to);
+  if (sameDay) return { rates: sameDay.rates, source: 'snapshot', asOf: sameDay.fetchedAt, provider: null };
+
+  const fetched = await fetchHistoricalRates(date, from, to);
+  if (fetched) {
+    return { rates: fetched.rates, source: 'provider', asOf: fetched.publishedAt ?? date, provider: fetched.provider };
+  }
+
+  const earlier = findSnapshotWithPair('fetched_at < ?', [dayStart], from, to);
+  if (earlier) return { rates: earlier.rates, source: 'earlier-snapshot', asOf: earlier.fetchedAt, provider: null };
+  return null;
+};
+
+// ─── Favorite pairs ───────────────────────────────────────────────────────────
+export const getFavoritePairs = () => {
+  try {
+    return db.getAllSync('SELECT * FROM favorite_pairs ORDER BY position ASC, id ASC');
+  } catch (e) {
+    return [];
+  }
+};
+
+export const isFavoritePair = (from, to) => {
+  try {
+    return !!db.getFirstSync(
+      'SELECT 1 FROM favorite_pairs WHERE from_currency = ? AND to_currency = ?',
+      [from, to]
+    );
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * saveFavoritePair(from, to, defaultAmount)
+ * Pins a pair to the dashboard (appended last), or updates its
+ * default amount if it is already pinned.
+ */
+export const saveFavoritePair = (from, to, defaultAmount = null) => {
+  if (from === to) throw codedError('samePair', 'Pick two different currencies');
+  const { next } = db.getFirstSync('SELECT COALESCE(MAX(position), -1) + 1 AS next FROM favorite_pairs');
+  db.runSync(
+    `INSERT INTO favorite_pairs (from_currency, to_currency, default_amount, position)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT (from_currency, to_currency) DO UPDATE SET default_amount = excluded.default_amount`,
+    [from, to, defaultAmount, next]
+  );
+};
+
+export const deleteFavoritePair = (from, to) => {
+  db.runSync('DELETE FROM favorite_pairs WHERE from_currency = ? AND to_currency = ?', [from, to]);
+};
+
+// ─── Baskets ──────────────────────────────────────────────────────────────────
+// Several line items, each in its own currency, totalled in one target currency
+const newBasketUid = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const getBaskets = () => {
+  try {
+    return db.getAllSync(
+      `SELECT b.*, COUNT(h.id) AS line_count
+       FROM baskets b
+       LEFT JOIN conversion_history h ON h.basket_uid = b.uid
+       GROUP BY b.id
+       ORDER BY b.created_at DESC, b.id DESC`
+    );
+  } catch (e) {
+    return [];
+  }
+};
+
+export const getBasketLines = (uid) => {
+  try {
+    return db.getAllSync('SELECT * FROM conversion_history WHERE basket_uid = ? ORDER BY id ASC', [uid]);
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * saveBasket(name, toCurrency, lines)
+ * Stores the basket and one conversion_history row per line, in one transaction.
+ * @param lines  [{ label, from, amount, result, rate, rateOverridden, expression }],
+ *               already converted into `toCurrency`
+ * @returns the basket's uid
+ */
+export const saveBasket = (name, toCurrency, lines) => {
+  const trimmed = name.trim();
+  if (!trimmed) throw codedError('noName', 'Give the basket a name');
+  if (!lines.length) throw codedError('noLines', 'Add at least one line');
+
+  const uid = newBasketUid();
+  const total = sumMoney(lines.map((line) => line.result), toCurrency);
+  db.withTransactionSync(() => {
+    db.runSync(
+      'INSERT INTO baskets (uid, name, to_currency, total) VALUES (?, ?, ?, ?)',
+      [uid, trimmed, toCurrency, total]
+    );
+    lines.forEach((line) => {
+      db.runSync(
+        `INSERT INTO conversion_history
+           (from_currency, to_currency, amount, result, rate, rate_overridden, expression, label, basket_uid)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          line.from, toCurrency, roundMoney(line.amount, line.from), roundMoney(line.result, toCurrency),
+          line.rate, line.rateOverridden ? 1 : 0, line.expression ?? null, line.label || null, uid,
+        ]
+      );
+    });
+  });
+  return uid;
+};
+
+// Removes the basket together with its lines in conversion_history
+export const deleteBasket = (uid) => {
+  db.withTransactionSync(() => {
+    db.runSync('DELETE FROM conversion_history WHERE basket_uid = ?', [uid]);
+    db.runSync('DELETE FROM baskets WHERE uid = ?', [uid]);
+  });
+};
+
+// ─── Rate alerts ──────────────────────────────────────────────────────────────
+//   above  → fires once when 1 FROM > threshold TO, then switches itself off
+//   below  → fires once when 1 FROM < threshold TO, then switches itself off
+//   change → fires when the rate moved more than threshold % over 24 h;
+//            stays on, but waits 24 h before firing again
+export const ALERT_KINDS = ['above', 'below', 'change'];
+
+// Oldest snapshot a 'change' alert will take as "24 h ago"
+const CHANGE_ALERT_MAX_HOURS = 30;
+
+export const getRateAlerts = () => {
+  try {
+    return db.getAllSync('SELECT * FROM rate_alerts ORDER BY created_at DESC, id DESC');
+  } catch (e) {
+    return [];
+  }
+};
+
+export const saveRateAlert = (from, to, kind, threshold) => {
+  if (!ALERT_KINDS.includes(kind)) throw codedError('unknownKind', `Unknown alert kind: ${kind}`, { kind });
+  if (from === to) throw codedError('samePair', 'Pick two different currencies');
+  if (!(threshold > 0)) throw codedError('thresholdNotPositive', 'Threshold must be greater than 0');
+  db.runSync(
+    'INSERT INTO rate_alerts (from_currency, to_currency, kind, threshold) VALUES (?, ?, ?, ?)',
+    [from, to, kind, threshold]
+  );
+};
+
+export const setRateAlertActive = (id, active) => {
+  db.runSync('UPDATE rate_alerts SET active = ? WHERE id = ?', [active ? 1 : 0, id]);
+};
+
+export const deleteRateAlert = (id) => {
+  db.runSync('DELETE FROM rate_alerts WHERE id = ?', [id]);
+};
+
+/**
+ * evaluateRateAlerts(rates)
+ * Checks every active alert against fresh `rates`, records the ones that
+ * fired (and switches off one-shot alerts) and returns them.
+ *
+ * @returns [{ ...alertRow, rate, changePct? }]
+ */
+export const evaluateRateAlerts = (rates) => {
+  const now = new Date();
+  const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString();
+  // 'change' compares with the rate of about a day ago: the newest snapshot
+  // at least 24 h old, if it is at most CHANGE_ALERT_MAX_HOURS old. After a
+  // few days offline there is none, and a multi-day move doesn't fire.
+  const oldest = new Date(now.getTime() - CHANGE_ALERT_MAX_HOURS * 60 * 60 * 1000).toISOString();
+  const reference = getSnapshotBefore(dayAgo);
+  const previous = reference && reference.fetchedAt >= oldest ? reference : null;
+  const fired = [];
+
+  getRateAlerts()
+    .filter((alert) => alert.active)
+    .forEach((alert) => {
+      const { from_currency: from, to_currency: to } = alert;
+      if (rates[from] == null || rates[to] == null) return;
+      const { rate } = getEffectiveRate(from, to, rates);
+
+      if (alert.kind === 'above' || alert.kind === 'below') {
+        const crossed = alert.kind === 'above' ? rate > alert.threshold : rate < alert.threshold;
+        if (!crossed) return;
+        db.runSync(
+          'UPDATE rate_alerts SET active = 0, last_triggered_at = ? WHERE id = ?',
+          [now.toISOString(), alert.id]
+        );
+        fired.push({ ...alert, rate });
+        return;
+      }
+
+      // 'change'
+      if (!previous || previous.rates[from] == null || previous.rates[to] == null) return;
+      if (alert.last_triggered_at && alert.last_triggered_at > dayAgo) return;
+      const { rate: before } = getEffectiveRate(from, to, previous.rates);
+      const changePct = ((rate - before) / before) * 100;
+      if (Math.abs(changePct) <= alert.threshold) return;
+      db.runSync('UPDATE rate_alerts SET last_triggered_at = ? WHERE id = ?', [now.toISOString(), alert.id]);
+      fired.push({ ...alert, rate, changePct });
+    });
+
+  return fired;
+};
+
+// ─── Backup / restore ─────────────────────────────────────────────────────────
+const BACKUP_FORMAT = 'manakalo-backup';
+
+/**
+ * Every table a backup covers, and how a "merge" import de-duplicates it:
+ *   key      → columns identifying the same row on both devices; rows with
+ *              equal keys are matched one for one, so two identical basket
+ *              lines saved in the same second stay two
+ *   dropId   → AUTOINCREMENT id is device-local; let SQLite assign a new one
+ */
+const BACKUP_TABLES = {
+  rates_cache:        { key: ['id'] },
+  conversion_history: {
+    key: ['from_currency', 'to_currency', 'amount', 'result', 'converted_at', 'basket_uid'],
+    dropId: true,
+  },
+  rate_snapshots:     { key: ['fetched_at'], dropId: true },
+  currencies:         { key: ['code'] },
+  rate_overrides:     { key: ['from_currency', 'to_currency'] },
+  app_settings:       { key: ['key'] },
+  rate_alerts:        { key: ['from_currency', 'to_currency', 'kind', 'threshold'], dropId: true },
+  favorite_pairs:     { key: ['from_currency', 'to_currency'], dropId: true },
+  baskets:            { key: ['uid'], dropId: true },
+  fee_profiles:       { key: ['name'], dropId: true },
+  fallback_rates:     { key: ['id'] },
+  historical_rates:   { key: ['date'] },
+};
+
+const tableColumns = (table) => db.getAllSync(`PRAGMA table_info(${table})`).map((c) => c.name);
+
+/**
+ * exportDatabase()
+ * Snapshot of every table as a plain JSON-serialisable bundle.
+ *
+ * @returns { format, schemaVersion, exportedAt, tables: { [table]: row[] } }
+ */
+export const exportDatabase = () => {
+  const tables = {};
+  Object.keys(BACKUP_TABLES).forEach((table) => {
+    tables[table] = db.getAllSync(`SELECT * FROM ${table}`);
+  });
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    tables,
+  };
+};
+
+/**
+ * validateBackup(bundle)
+ * Throws a coded Error if `bundle` can't be restored into this schema:
+ * wrong file, a newer schema than this app knows, or columns that
+ * initRatesDB doesn't create.
+ */
+export const validateBackup = (bundle) => {
+  if (!bundle || bundle.format !== BACKUP_FORMAT || typeof bundle.tables !== 'object') {
+    throw codedError('notBackup', 'This file is not a Manakalo backup');
+  }
+  if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 1) {
+    throw codedError('noSchemaVersion', 'Backup has no valid schema version');
+  }
+  if (bundle.schemaVersion > SCHEMA_VERSION) {
+    throw codedError(
+      'newerSchema',
+      `Backup is from a newer app version (schema ${bundle.schemaVersion}, this app supports ${SCHEMA_VERSION}). Update the app first.`,
+      { version: bundle.schemaVersion, supported: SCHEMA_VERSION }
+    );
+  }
+
+  Object.entries(bundle.tables).forEach(([table, rows]) => {
+    if (!BACKUP_TABLES[table]) throw codedError('unknownTable', `Unknown table in backup: ${table}`, { table });
+    if (!Array.isArray(rows)) throw codedError('notRowList', `Table ${table} is not a list of rows`, { table });
+    const known = tableColumns(table);
+    rows.forEach((row) => {
+      const unknown = Object.keys(row).filter((col) => !known.includes(col));
+      if (unknown.length) {
+        throw codedError('unknownColumns', `Unknown column(s) in ${table}: ${unknown.join(', ')}`, {
+          table,
+          columns: unknown.join(', '),
+        });
+      }
+    });
+  });
+};
+
+/**
+ * importDatabase(bundle, mode)
+ * Restores a bundle from exportDatabase() in one transaction.
+ *
+ *   mode 'replace' → every backed-up table is emptied first, including
+ *                    ones the bundle doesn't have — a full restore
+ *   mode 'merge'   → rows already present (same BACKUP_TABLES key) are kept
+ *
+ * Settings may have changed: call i18n's reloadLanguage() afterwards.
+ *
+ * @returns { [table]: number of rows inserted }
+ */
+export const importDatabase = (bundle, mode = 'merge') => {
+  if (mode !== 'merge' && mode !== 'replace') throw new Error(`Unknown import mode: ${mode}`);
+  validateBackup(bundle);
+
+  const inserted = {};
+  db.withTransactionSync(() => {
+    if (mode === 'replace') {
+      Object.keys(BACKUP_TABLES).forEach((table) => db.runSync(`DELETE FROM ${table}`));
+    }
+
+    Object.entries(bundle.tables).forEach(([table, rows]) => {
+      const { key, dropId } = BACKUP_TABLES[table];
+      const matched = new Map(); // key values → bundle rows seen with them
+      inserted[table] = 0;
+
+      rows.forEach((row) => {
+        if (mode === 'merge') {
+          // Skip the row if this phone already has more rows with its key
+          // than the bundle has shown so far
+          const values = key.map((col) => row[col] ?? null);
+          const id = JSON.stringify(values);
+          const seen = matched.get(id) ?? 0;
+          matched.set(id, seen + 1);
+          const { count } = db.getFirstSync(
+            `SELECT COUNT(*) AS count FROM ${table} WHERE ${key.map((col) => `${col} IS ?`).join(' AND ')}`,
+            values
+          );
+          if (seen < count) return;
+        }
+        const columns = Object.keys(row).filter((col) => !(dropId && col === 'id'));
+        db.runSync(
+          `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+          columns.map((col) => row[col])
+        );
+        inserted[table] += 1;
+      });
+    });
+  });
+  formatPrefs = null; // app_settings may have changed
+  return inserted;
 };
 
 // ─── Formatting ───────────────────────────────────────────────────────────────
+// Intl.NumberFormat is slow to build — keep one per locale / decimals pair
+const numberFormats = new Map();
+const getNumberFormat = (locale, decimals) => {
+  const key = `${locale}:${decimals}`;
+  if (!numberFormats.has(key)) {
+    numberFormats.set(key, new Intl.NumberFormat(locale, {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    }));
+  }
+  return numberFormats.get(key);
+};
+
+/**
+ * getNumberSeparators(locale)
+ * Returns { group, decimal } as the locale prints them, e.g. en-US → { ',', '.' }
+ * and fr-MG → { ' ', ',' } (a narrow no-break space on most devices).
+ */
+export const getNumberSeparators = (locale = getFormatPrefs().locale) => {
+  const sample = getNumberFormat(locale, 1).format(1234.5); // "1,234.5" / "1 234,5"
+  return { group: sample.charAt(1), decimal: sample.charAt(sample.length - 2) };
+};
+
+// `currency` sets the decimals (its minor units); pass null for plain
+// numbers such as percentages, shown with 2
 export const formatAmount = (value, currency, rounded = false) => {
   const num = parseFloat(value);
   if (isNaN(num)) return '—';
 
-  const decimals = rounded ? 0 : currency === 'MGA' ? 0 : 2;
-  return new Intl.NumberFormat('en-US', {
-    minimumFractionDigits: decimals,
-    maximumFractionDigits: decimals,
-  }).format(num);
+  const decimals = rounded ? 0 : currency ? getMinorUnits(currency) : 2;
+  return getNumberFormat(getFormatPrefs().locale, decimals).format(num);
+};
+
+// Amount with the currency symbol on the side chosen in Settings
+export const formatMoney = (value, currency, rounded = false) => {
+  const amount = formatAmount(value, currency, rounded);
+  const { symbol } = getCurrencyInfo(currency);
+  return getFormatPrefs().symbolPosition === 'after' ? `${amount} ${symbol}` : `${symbol} ${amount}`;
+};
+
+/**
+ * parseAmountInput(text)
+ * Reads what the user typed in the chosen number locale and re-groups it:
+ *   en-US "1234567.8" → { raw: '1234567.8', formatted: '1,234,567.8' }
+ *   fr-MG "1234567,8" → { raw: '1234567.8', formatted: '1 234 567,8' }
+ * `raw` always uses "." and is what calculations and the DB see. Locales that
+ * group with a space accept "." as well as "," as the decimal mark, so neither
+ * is ever mistaken for a thousands separator.
+ */
+export const parseAmountInput = (text) => {
+  const { group, decimal } = getNumberSeparators();
+  const decimalMarks = group === ',' || group === '.' ? [decimal] : [',', '.'];
+
+  // 1. Keep digits and decimal marks, normalised to "."
+  let cleaned = '';
+  for (const ch of text) {
+    if (ch >= '0' && ch <= '9') cleaned += ch;
+    else if (decimalMarks.includes(ch)) cleaned += '.';
+  }
+
+  // 2. Prevent more than one decimal point
+  const parts = cleaned.split('.');
+  const raw = parts.length > 2 ? parts[0] + '.' + parts.slice(1).join('') : cleaned;
+
+  // 3. Group the integer part, preserve the decimal part as typed
+  const [intPart, decPart] = raw.split('.');
+  const formattedInt = intPart.replace(/\B(?=(\d{3})+(?!\d))/g, group);
+  const formatted = decPart !== undefined ? formattedInt + decimal + decPart : formattedInt;
+
+  return { raw, formatted };
 };
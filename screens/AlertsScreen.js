@@ -0,0 +1,207 @@
+/**
+ * ALERTS SCREEN
+ *
+ * Rate alerts for any pair:
+ * - "1 EUR above 5,200 MGA" / "below …" — fire once, then switch off
+ * - "USD → MGA moves more than 2 % in a day"
+ * Alerts are checked every time fresh live rates arrive, in the
+ * foreground or from the background refresh.
+ */
+
+import React, { useState, useCallback } from 'react';
+import { View, FlatList, StyleSheet, useColorScheme } from 'react-native';
+import {
+  Text,
+  Surface,
+  IconButton,
+  Chip,
+  Switch,
+  TextInput,
+  Button,
+  SegmentedButtons,
+  HelperText,
+  Divider,
+} from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  getEnabledCurrencies,
+  getCurrencyInfo,
+  getRateAlerts,
+  saveRateAlert,
+  setRateAlertActive,
+  deleteRateAlert,
+  parseAmountInput,
+  formatAmount,
+} from '../ratesService';
+import { ensureNotificationPermission } from '../alertsService';
+import { useTranslation } from '../i18n';
+
+function CurrencyChips({ currencies, value, onChange }) {
+  return (
+    <View style={styles.chipRow}>
+      {currencies.map((c) => (
+        <Chip key={c} compact selected={value === c} showSelectedOverlay onPress={() => onChange(c)}>
+          {getCurrencyInfo(c).flag} {c}
+        </Chip>
+      ))}
+    </View>
+  );
+}
+
+const describeAlert = (alert, t) => {
+  const { from_currency: from, to_currency: to } = alert;
+  if (alert.kind === 'change') {
+    return t('alerts.describeChange', { pair: `${from} → ${to}`, threshold: alert.threshold });
+  }
+  const amount = `${formatAmount(alert.threshold, to)} ${to}`;
+  return alert.kind === 'above'
+    ? t('alerts.describeAbove', { from, amount })
+    : t('alerts.describeBelow', { from, amount });
+};
+
+export default function AlertsScreen({ route }) {
+  const isDark = useColorScheme() === 'dark';
+  const t = useTranslation();
+  const [alerts, setAlerts] = useState([]);
+  const [currencies, setCurrencies] = useState(getEnabledCurrencies);
+
+  // New-alert form
+  const [from, setFrom] = useState(route.params?.from ?? 'EUR');
+  const [to, setTo] = useState(route.params?.to ?? 'MGA');
+  const [kind, setKind] = useState('above');
+  const [threshold, setThreshold] = useState('');
+  const [error, setError] = useState('');
+  const [permissionDenied, setPermissionDenied] = useState(false);
+
+  const load = useCallback(() => {
+    setAlerts(getRateAlerts());
+    setCurrencies(getEnabledCurrencies());
+  }, []);
+
+  useFocusEffect(useCallback(() => { load(); }, [load]));
+
+  const handleAdd = async () => {
+    // threshold holds parseAmountInput's raw form ("5200.5"), whatever the
+    // number format — so "5,200" in en-US is 5200, not 5.2
+    const value = threshold === '' || threshold === '.' ? NaN : Number(threshold);
+    if (!(value > 0)) {
+      setError(t('alerts.invalidThreshold'));
+      return;
+    }
+    try {
+      saveRateAlert(from, to, kind, value);
+    } catch (e) {
+      setError(e.code ? t(`alerts.errors.${e.code}`, e.params) : e.message);
+      return;
+    }
+    setError('');
+    setThreshold('');
+    load();
+    setPermissionDenied(!(await ensureNotificationPermission()));
+  };
+
+  const handleToggle = (alert) => {
+    setRateAlertActive(alert.id, !alert.active);
+    load();
+  };
+
+  const handleDelete = (id) => {
+    deleteRateAlert(id);
+    load();
+  };
+
+  const renderItem = ({ item }) => (
+    <Surface style={[styles.row, isDark && styles.rowDark]} elevation={1}>
+      <View style={styles.rowText}>
+        <Text style={styles.alertTitle}>{describeAlert(item, t)}</Text>
+        <Text style={styles.alertMeta}>
+          {item.last_triggered_at
+            ? t('alerts.lastFired', { date: new Date(item.last_triggered_at).toLocaleString() })
+            : t('alerts.notFired')}
+        </Text>
+      </View>
+      <Switch value={!!item.active} onValueChange={() => handleToggle(item)} />
+      <IconButton icon="delete-outline" size={20} iconColor="#f44336" onPress={() => handleDelete(item.id)} />
+    </Surface>
+  );
+
+  return (
+    <View style={[styles.root, isDark && styles.rootDark]}>
+      <Surface style={[styles.card, isDark && styles.cardDark]} elevation={2}>
+        <Text style={styles.sectionLabel}>{t('alerts.newAlert')}</Text>
+        <CurrencyChips currencies={currencies} value={from} onChange={setFrom} />
+        <Text style={styles.arrow}>↓</Text>
+        <CurrencyChips currencies={currencies} value={to} onChange={setTo} />
+        <SegmentedButtons
+          value={kind}
+          onValueChange={setKind}
+          style={styles.kind}
+          buttons={[
+            { value: 'above', label: t('alerts.above') },
+            { value: 'below', label: t('alerts.below') },
+            { value: 'change', label: t('alerts.move') },
+          ]}
+        />
+        <TextInput
+          label={kind === 'change' ? t('alerts.moveLabel') : `1 ${from} = ? ${to}`}
+          value={parseAmountInput(threshold).formatted}
+          onChangeText={(text) => setThreshold(parseAmountInput(text).raw)}
+          keyboardType="decimal-pad"
+          style={styles.input}
+        />
+        {!!error && <HelperText type="error">{error}</HelperText>}
+        {permissionDenied && (
+          <HelperText type="error">{t('alerts.permissionDenied')}</HelperText>
+        )}
+        <Button mode="contained" icon="bell-plus-outline" onPress={handleAdd} disabled={!threshold}>
+          {t('alerts.add')}
+        </Button>
+      </Surface>
+
+      <Divider />
+
+      <FlatList
+        data={alerts}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id.toString()}
+        contentContainerStyle={styles.list}
+        ItemSeparatorComponent={() => <View style={{ height: 8 }} />}
+        ListEmptyComponent={<Text style={styles.emptyText}>{t('alerts.empty')}</Text>}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  root: { flex: 1, backgroundColor: '#f4f4f8' },
+  rootDark: { backgroundColor: '#0f0f1a' },
+  card: { borderRadius: 16, padding: 16, margin: 12 },
+  cardDark: { backgroundColor: '#1a1a2e' },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    letterSpacing: 1.5,
+    color: '#999',
+    marginBottom: 10,
+    textTransform: 'uppercase',
+  },
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 6 },
+  arrow: { textAlign: 'center', color: '#aaa', marginVertical: 4 },
+  kind: { marginTop: 12 },
+  input: { marginVertical: 12, backgroundColor: 'transparent' },
+  list: { padding: 12 },
+  emptyText: { textAlign: 'center', color: '#999', marginTop: 24 },
+
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingLeft: 14,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: '#fff',
+  },
+  rowDark: { backgroundColor: '#1a1a2e' },
+  rowText: { flex: 1, gap: 2 },
+  alertTitle: { fontSize: 14, fontWeight: '600' },
+  alertMeta: { fontSize: 11, color: '#aaa' },
+});
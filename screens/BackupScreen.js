@@ -0,0 +1,140 @@
+/**
+ * BACKUP SCREEN
+ *
+ * Moves everything in manakalo.db between devices:
+ * - Back up: every table into one versioned JSON file, via the share sheet
+ * - Restore: pick a backup file, check it against this app's schema,
+ *   then merge it into the local data or replace the local data with it
+ */
+
+import React, { useState } from 'react';
+import { View, ScrollView, StyleSheet, useColorScheme } from 'react-native';
+import { Text, Surface, Button, Dialog, Portal, Snackbar } from 'react-native-paper';
+import { exportDatabase, validateBackup, importDatabase } from '../ratesService';
+import { shareTextFile, pickTextFile, fileDateStamp } from '../exportService';
+import { useTranslation, reloadLanguage } from '../i18n';
+
+export default function BackupScreen() {
+  const isDark = useColorScheme() === 'dark';
+  const t = useTranslation();
+  const [busy, setBusy] = useState(false);
+  const [pending, setPending] = useState(null); // validated bundle awaiting merge/replace
+  const [snackbar, setSnackbar] = useState('');
+
+  const handleBackup = async () => {
+    setBusy(true);
+    try {
+      const bundle = exportDatabase();
+      await shareTextFile(`manakalo-backup-${fileDateStamp()}`, JSON.stringify(bundle), 'json');
+    } catch (e) {
+      setSnackbar(t('backup.backupFailed', { message: e.message }));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePick = async () => {
+    try {
+      const file = await pickTextFile();
+      if (!file) return;
+      const bundle = JSON.parse(file.content);
+      validateBackup(bundle);
+      setPending(bundle);
+    } catch (e) {
+      setSnackbar(
+        e instanceof SyntaxError ? t('backup.invalidJson')
+          : e.code ? t(`backup.errors.${e.code}`, e.params)
+            : e.message
+      );
+    }
+  };
+
+  const handleRestore = (mode) => {
+    const bundle = pending;
+    setPending(null);
+    try {
+      const inserted = importDatabase(bundle, mode);
+      reloadLanguage();
+      const total = Object.values(inserted).reduce((sum, n) => sum + n, 0);
+      setSnackbar(t('backup.restored', { count: total }));
+    } catch (e) {
+      const message = e.code ? t(`backup.errors.${e.code}`, e.params) : e.message;
+      setSnackbar(t('backup.restoreFailed', { message }));
+    }
+  };
+
+  return (
+    <View style={[styles.root, isDark && styles.rootDark]}>
+      <ScrollView contentContainerStyle={styles.scroll}>
+        <Surface style={[styles.card, isDark && styles.cardDark]} elevation={2}>
+          <Text style={styles.sectionLabel}>{t('backup.backUp')}</Text>
+          <Text style={styles.body}>{t('backup.backUpBody')}</Text>
+          <Button mode="contained" icon="database-export-outline" onPress={handleBackup} loading={busy} disabled={busy}>
+            {t('backup.backUpNow')}
+          </Button>
+        </Surface>
+
+        <Surface style={[styles.card, isDark && styles.cardDark]} elevation={2}>
+          <Text style={styles.sectionLabel}>{t('backup.restore')}</Text>
+          <Text style={styles.body}>{t('backup.restoreBody')}</Text>
+          <Button mode="outlined" icon="database-import-outline" onPress={handlePick}>
+            {t('backup.choose')}
+          </Button>
+        </Surface>
+      </ScrollView>
+
+      <Portal>
+        <Dialog visible={!!pending} onDismiss={() => setPending(null)}>
+          <Dialog.Title>{t('backup.restoreTitle')}</Dialog.Title>
+          <Dialog.Content>
+            {pending && (
+              <>
+                <Text style={styles.body}>
+                  {t('backup.created', { date: new Date(pending.exportedAt).toLocaleString() })}
+                </Text>
+                {Object.entries(pending.tables).map(([table, rows]) => (
+                  <View key={table} style={styles.summaryRow}>
+                    <Text>{t(`backup.tables.${table}`)}</Text>
+                    <Text style={styles.summaryCount}>{rows.length}</Text>
+                  </View>
+                ))}
+                <Text style={styles.note}>{t('backup.mergeNote')}</Text>
+              </>
+            )}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setPending(null)}>{t('common.cancel')}</Button>
+            <Button textColor="#f44336" onPress={() => handleRestore('replace')}>
+              {t('backup.replace')}
+            </Button>
+            <Button onPress={() => handleRestore('merge')}>{t('backup.merge')}</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <Snackbar visible={!!snackbar} onDismiss={() => setSnackbar('')} duration={3500}>
+        {snackbar}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  root: { flex: 1, backgroundColor: '#f4f4f8' },
+  rootDark: { backgroundColor: '#0f0f1a' },
+  scroll: { padding: 16, paddingBottom: 32 },
+  card: { borderRadius: 16, padding: 16, marginBottom: 12 },
+  cardDark: { backgroundColor: '#1a1a2e' },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    letterSpacing: 1.5,
+    color: '#999',
+    marginBottom: 10,
+    textTransform: 'uppercase',
+  },
+  body: { fontSize: 14, color: '#777', marginBottom: 14 },
+  summaryRow: { flexDirection: 'row', justifyContent: 'space-between', paddingVertical: 4 },
+  summaryCount: { fontWeight: '700' },
+  note: { fontSize: 12, color: '#999', marginTop: 12 },
+});
@@ -0,0 +1,360 @@
+/**
+ * BASKET SCREEN
+ *
+ * Adds up several purchases made in different currencies — a supplier
+ * invoice in CNY plus shipping in EUR, say — in one target currency:
+ * - Line items with a label, source currency and amount (calculator input too)
+ * - Per-line converted value and the grand total, at the current rates
+ *   (street-rate overrides apply when street mode is on in the converter)
+ * - Save under a name: the lines go to conversion_history, linked to the basket
+ * - Reopen a saved basket to recompute it at today's rates, or delete it
+ */
+
+import React, { useState, useCallback, useEffect } from 'react';
+import { View, ScrollView, StyleSheet, useColorScheme } from 'react-native';
+import {
+  Text,
+  Surface,
+  Chip,
+  TextInput,
+  Button,
+  IconButton,
+  Divider,
+  Dialog,
+  Portal,
+  HelperText,
+  Snackbar,
+  ActivityIndicator,
+} from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  getRates,
+  getEnabledCurrencies,
+  getCurrencyInfo,
+  getRateOverrides,
+  getEffectiveRate,
+  convert,
+  sumMoney,
+  getSetting,
+  getBaskets,
+  getBasketLines,
+  saveBasket,
+  deleteBasket,
+  formatAmount,
+  formatMoney,
+} from '../ratesService';
+import { formatExpressionInput, evaluateExpression, isExpression } from '../calculator';
+import { useTranslation, currencyName } from '../i18n';
+
+// Keys for lines that have not been saved yet
+let nextLineKey = 1;
+
+function CurrencyChips({ currencies, value, onChange }) {
+  return (
+    <View style={styles.chipRow}>
+      {currencies.map((c) => (
+        <Chip key={c} compact selected={value === c} showSelectedOverlay onPress={() => onChange(c)}>
+          {getCurrencyInfo(c).flag} {c}
+        </Chip>
+      ))}
+    </View>
+  );
+}
+
+export default function BasketScreen() {
+  const isDark = useColorScheme() === 'dark';
+  const t = useTranslation();
+  const [rates, setRates] = useState(null);
+  const [ratesFailed, setRatesFailed] = useState(false);
+  const [overrides, setOverrides] = useState(null);
+  const [currencies, setCurrencies] = useState(getEnabledCurrencies);
+  const [saved, setSaved] = useState([]);
+  const [snackbar, setSnackbar] = useState('');
+
+  // The basket being edited: `amount` is the raw calculator string
+  const [target, setTarget] = useState(() => getSetting('last_pair').to);
+  const [lines, setLines] = useState([]);
+
+  // New-line form
+  const [label, setLabel] = useState('');
+  const [from, setFrom] = useState(() => getSetting('last_pair').from);
+  const [amount, setAmount] = useState('');
+  const amountValue = evaluateExpression(amount);
+
+  // Save dialog
+  const [saveVisible, setSaveVisible] = useState(false);
+  const [name, setName] = useState('');
+
+  // getRates() falls back to stale or bundled rates when offline, so this
+  // only fails when the rates cache can't be read (SQLite, a corrupt row)
+  const loadRates = useCallback(async () => {
+    setRatesFailed(false);
+    try {
+      const { rates: r } = await getRates();
+      setRates(r);
+    } catch (e) {
+      console.warn('Rates unavailable:', e);
+      setRatesFailed(true);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRates();
+  }, [loadRates]);
+
+  useFocusEffect(useCallback(() => {
+    setCurrencies(getEnabledCurrencies());
+    setOverrides(getSetting('street_mode') ? getRateOverrides() : null);
+    setSaved(getBaskets());
+  }, []));
+
+  // Each line converted into the target currency; result is null when the
+  // current rate set doesn't know the line's currency
+  const computed = lines.map((line) => {
+    const value = evaluateExpression(line.amount);
+    if (!rates || value === null || rates[line.from] == null || rates[target] == null) {
+      return { ...line, value, result: null };
+    }
+    const { rate, override } = getEffectiveRate(line.from, target, rates, overrides);
+    const result = convert(value, line.from, target, rates, overrides);
+    return { ...line, value, rate, override, result };
+  });
+  const total = sumMoney(
+    computed.filter((line) => line.result !== null).map((line) => line.result),
+    target
+  );
+  // Lines without a result can't be saved — the basket would not add up
+  const unconverted = computed.filter((line) => line.result === null).length;
+
+  const handleAddLine = () => {
+    if (!(amountValue > 0)) return;
+    setLines((prev) => [...prev, { key: nextLineKey++, label: label.trim(), from, amount }]);
+    setLabel('');
+    setAmount('');
+  };
+
+  const handleRemoveLine = (key) => setLines((prev) => prev.filter((line) => line.key !== key));
+
+  const handleSave = () => {
+    if (unconverted) return;
+    try {
+      saveBasket(
+        name,
+        target,
+        computed.map((line) => ({
+          label: line.label,
+          from: line.from,
+          amount: line.value,
+          result: line.result,
+          rate: line.rate,
+          rateOverridden: !!line.override,
+          expression: isExpression(line.amount) ? line.amount : null,
+        }))
+      );
+    } catch (e) {
+      setSnackbar(e.code ? t(`basket.errors.${e.code}`) : t('basket.saveFailed', { message: e.message }));
+      return;
+    }
+    setSnackbar(t('basket.saved', { name: name.trim() }));
+    setSaveVisible(false);
+    setName('');
+    setSaved(getBaskets());
+  };
+
+  // Saved amounts are reloaded as typed, then recomputed at today's rates
+  const handleOpenBasket = (basket) => {
+    setTarget(basket.to_currency);
+    setLines(
+      getBasketLines(basket.uid).map((row) => ({
+        key: nextLineKey++,
+        label: row.label ?? '',
+        from: row.from_currency,
+        amount: row.expression ?? String(row.amount),
+      }))
+    );
+    setSnackbar(t('basket.loaded', { name: basket.name }));
+  };
+
+  const handleDeleteBasket = (uid) => {
+    deleteBasket(uid);
+    setSaved(getBaskets());
+  };
+
+  if (ratesFailed) {
+    return (
+      <View style={[styles.centered, isDark && styles.rootDark]}>
+        <Text style={styles.failedText}>{t('basket.ratesUnavailable')}</Text>
+        <Button icon="refresh" onPress={loadRates}>
+          {t('basket.retry')}
+        </Button>
+      </View>
+    );
+  }
+
+  if (!rates) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  const available = currencies.filter((c) => rates[c] != null);
+
+  return (
+    <View style={[styles.root, isDark && styles.rootDark]}>
+      <ScrollView contentContainerStyle={styles.scroll} keyboardShouldPersistTaps="handled">
+        {/* ── Grand total ────────────────────────────────────────────────── */}
+        <Surface style={[styles.card, isDark && styles.cardDark]} elevation={2}>
+          <Text style={styles.sectionLabel}>{t('basket.totalIn')}</Text>
+          <CurrencyChips currencies={available} value={target} onChange={setTarget} />
+          <Text style={styles.total}>{formatMoney(total, target)}</Text>
+          <Text style={styles.caption}>
+            {t('basket.lineCount', { count: lines.length })} · {currencyName(target)}
+          </Text>
+        </Surface>
+
+        {/* ── New line ───────────────────────────────────────────────────── */}
+        <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+          <Text style={styles.sectionLabel}>{t('basket.addLine')}</Text>
+          <CurrencyChips currencies={available} value={from} onChange={setFrom} />
+          <TextInput
+            label={t('basket.label')}
+            value={label}
+            onChangeText={setLabel}
+            style={styles.input}
+          />
+          <TextInput
+            label={t('converter.amountIn', { currency: from })}
+            value={formatExpressionInput(amount).formatted}
+            onChangeText={(text) => setAmount(formatExpressionInput(text).raw)}
+            keyboardType="numbers-and-punctuation"
+            returnKeyType="done"
+            onSubmitEditing={handleAddLine}
+            style={styles.input}
+          />
+          {isExpression(amount) && amountValue !== null && (
+            <HelperText type="info">= {formatMoney(amountValue, from)}</HelperText>
+          )}
+          <Button mode="contained" icon="plus" onPress={handleAddLine} disabled={!(amountValue > 0)}>
+            {t('basket.add')}
+          </Button>
+        </Surface>
+
+        {/* ── Lines ──────────────────────────────────────────────────────── */}
+        <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+          <Text style={styles.sectionLabel}>{t('basket.lines')}</Text>
+          {computed.length === 0 && <Text style={styles.emptyText}>{t('basket.empty')}</Text>}
+          {computed.map((line) => (
+            <View key={line.key} style={styles.lineRow}>
+              <View style={styles.lineText}>
+                <Text style={styles.lineLabel}>
+                  {getCurrencyInfo(line.from).flag} {line.label || currencyName(line.from)}
+                </Text>
+                <Text style={styles.caption}>
+                  {formatAmount(line.value, line.from)} {line.from}
+                  {line.override ? t('history.streetRate') : ''}
+                </Text>
+              </View>
+              <Text style={styles.lineResult}>
+                {line.result === null ? '—' : formatMoney(line.result, target)}
+              </Text>
+              <IconButton icon="close" size={18} iconColor="#f44336" onPress={() => handleRemoveLine(line.key)} />
+            </View>
+          ))}
+          {computed.length > 0 && (
+            <View style={styles.actions}>
+              <Button onPress={() => setLines([])}>{t('basket.clear')}</Button>
+              <Button mode="contained" icon="content-save-outline" onPress={() => setSaveVisible(true)}>
+                {t('basket.save')}
+              </Button>
+            </View>
+          )}
+        </Surface>
+
+        {/* ── Saved baskets ──────────────────────────────────────────────── */}
+        <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+          <Text style={styles.sectionLabel}>{t('basket.savedBaskets')}</Text>
+          {saved.length === 0 && <Text style={styles.emptyText}>{t('basket.noSaved')}</Text>}
+          {saved.map((basket, index) => (
+            <View key={basket.uid}>
+              {index > 0 && <Divider />}
+              <View style={styles.lineRow}>
+                <View style={styles.lineText}>
+                  <Text style={styles.lineLabel}>{basket.name}</Text>
+                  <Text style={styles.caption}>
+                    {t('basket.lineCount', { count: basket.line_count })} ·{' '}
+                    {formatMoney(basket.total, basket.to_currency)}
+                  </Text>
+                </View>
+                <IconButton icon="folder-open-outline" size={20} onPress={() => handleOpenBasket(basket)} />
+                <IconButton
+                  icon="delete-outline"
+                  size={20}
+                  iconColor="#f44336"
+                  onPress={() => handleDeleteBasket(basket.uid)}
+                />
+              </View>
+            </View>
+          ))}
+        </Surface>
+      </ScrollView>
+
+      <Portal>
+        <Dialog visible={saveVisible} onDismiss={() => setSaveVisible(false)}>
+          <Dialog.Title>{t('basket.saveTitle')}</Dialog.Title>
+          <Dialog.Content>
+            <TextInput label={t('basket.name')} value={name} onChangeText={setName} autoFocus />
+            <HelperText type="info">
+              {t('basket.lineCount', { count: lines.length })} · {formatMoney(total, target)}
+            </HelperText>
+            {unconverted > 0 && (
+              <HelperText type="error">
+                {t('basket.unconverted', { count: unconverted, currency: target })}
+              </HelperText>
+            )}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setSaveVisible(false)}>{t('common.cancel')}</Button>
+            <Button onPress={handleSave} disabled={!name.trim() || unconverted > 0}>
+              {t('common.save')}
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <Snackbar visible={!!snackbar} onDismiss={() => setSnackbar('')} duration={2500}>
+        {snackbar}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  root: { flex: 1, backgroundColor: '#f4f4f8' },
+  rootDark: { backgroundColor: '#0f0f1a' },
+  centered: { flex: 1, alignItems: 'center', justifyContent: 'center' },
+  scroll: { padding: 16, paddingBottom: 32 },
+  card: { borderRadius: 16, padding: 16, marginBottom: 12 },
+  cardDark: { backgroundColor: '#1a1a2e' },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    letterSpacing: 1.5,
+    color: '#999',
+    marginBottom: 10,
+    textTransform: 'uppercase',
+  },
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 6 },
+  total: { fontSize: 34, fontWeight: 'bold', color: '#E8352B', marginTop: 12 },
+  caption: { fontSize: 12, color: '#999', marginTop: 2 },
+  input: { marginTop: 8, backgroundColor: 'transparent' },
+  emptyText: { fontSize: 14, color: '#999', fontStyle: 'italic' },
+  failedText: { fontSize: 14, color: '#999', textAlign: 'center', marginHorizontal: 24, marginBottom: 8 },
+
+  lineRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 6 },
+  lineText: { flex: 1 },
+  lineLabel: { fontSize: 15, fontWeight: '600', color: '#555' },
+  lineResult: { fontSize: 15, fontWeight: '700', color: '#333' },
+  actions: { flexDirection: 'row', justifyContent: 'flex-end', gap: 8, marginTop: 12 },
+});
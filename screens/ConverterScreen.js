@@ -2,13 +2,20 @@
  * CONVERTER SCREEN
  *
  * Improvements over the original web app:
- * - Live rate status badge (live / cached / offline fallback)
+ * - Live rate status badge (live / cached / offline fallback) — tap it
+ *   for Rate Details
  * - Full multi-directional conversion: any currency → any currency
  * - Swap button
  * - Round toggle
  * - All 4 output rates shown simultaneously (like a rate board)
  * - Conversion history saved automatically
- * - Pull-to-refresh for live rates
+ * - Pull-to-refresh for live rates (plus background sync, see backgroundSync.js)
+ * - Street-rate overrides per pair (absolute rate or % spread)
+ * - Calculator input: "250×12" is evaluated live (see calculator.js)
+ * - Fee profiles: gross / fees / net, and "how much to send so they get X"
+ * - Type in either field: the TO amount works back to the FROM amount
+ * - "On a past date": the same amount at that day's rate, and the
+ *   difference versus today (for expenses reimbursed weeks later)
  * - Clean, native mobile UI
  */
 
@@ -33,20 +40,57 @@ import {
   ActivityIndicator,
   Switch,
   Snackbar,
+  Portal,
+  Dialog,
+  Button,
+  SegmentedButtons,
+  HelperText,
+  Menu,
 } from "react-native-paper";
+import { useFocusEffect } from "@react-navigation/native";
 
 import {
-  CURRENCIES,
-  CURRENCY_INFO,
+  getEnabledCurrencies,
+  getCurrencyInfo,
   getRates,
+  getProviderLabel,
   convert,
+  getEffectiveRate,
+  getRateOverrides,
+  saveRateOverride,
+  deleteRateOverride,
   formatAmount,
+  formatMoney,
+  getFormatPrefs,
+  getNumberSeparators,
+  parseAmountInput,
   saveToHistory,
+  isFavoritePair,
+  saveFavoritePair,
+  deleteFavoritePair,
+  getSetting,
+  setSetting,
+  getFeeProfiles,
+  getFeeProfile,
+  applyFees,
+  solveGrossForNet,
+  subtractMoney,
+  getRatesOn,
 } from "../ratesService";
+import { onRatesRefreshed } from "../backgroundSync";
+import { useTranslation, currencyName } from "../i18n";
+import {
+  formatExpressionInput,
+  evaluateExpression,
+  isExpression,
+} from "../calculator";
+
+// Operator keys under the amount field — the numeric keypad has none
+const OPERATOR_KEYS = ["+", "−", "×", "÷"];
 
 // ─── Currency Selector Button ─────────────────────────────────────────────────
 function CurrencyButton({ currency, selected, onPress }) {
-  const info = CURRENCY_INFO[currency];
+  const info = getCurrencyInfo(currency);
   return (
     <TouchableOpacity
       onPress={onPress}
@@ -64,11 +108,11 @@ function CurrencyButton({ currency, selected, onPress }) {
 }
 
 // ─── Rate Row (the "rate board" at the bottom) ────────────────────────────────
-function RateRow({ from, to, rates, amount, rounded }) {
+function RateRow({ from, to, rates, overrides, amount, rounded }) {
   if (from === to) return null;
 
-  const toInfo = CURRENCY_INFO[to];
-  const result = convert(amount || 1, from, to, rates);
+  const toInfo = getCurrencyInfo(to);
+  const result = convert(amount || 1, from, to, rates, overrides);
   const display = amount
     ? formatAmount(result, to, rounded)
     : formatAmount(result, to, false);
@@ -78,7 +122,7 @@ function RateRow({ from, to, rates, amount, rounded }) {
       <View style={styles.rateRowLeft}>
         <Text style={styles.rateFlag}>{toInfo.flag}</Text>
         <Text style={styles.rateCode}>{to}</Text>
-        <Text style={styles.rateName}>{toInfo.name}</Text>
+        <Text style={styles.rateName}>{currencyName(to)}</Text>
       </View>
       <Text style={styles.rateValue}>
         {amount ? display : `1 ${from} = ${display} ${to}`}
@@ -87,52 +131,426 @@ function RateRow({ from, to, rates, amount, rounded }) {
   );
 }
 
+// ─── Street-rate override dialog ──────────────────────────────────────────────
+// Absolute: "1 EUR = 5,200 MGA". Spread: "+3 %" over the official rate.
+function OverrideDialog({ visible, from, to, officialRate, existing, onDismiss, onSave, onRemove }) {
+  const t = useTranslation();
+  const [mode, setMode] = useState("absolute");
+  const [value, setValue] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!visible) return;
+    setMode(existing?.mode ?? "absolute");
+    // Shown with the locale's decimal mark, so handleSave reads it back
+    setValue(
+      existing
+        ? String(existing.value).replace(".", getNumberSeparators().decimal)
+        : "",
+    );
+    setError("");
+  }, [visible, existing]);
+
+  // Read with the number format from Settings: "5,200" is 5200 in en-US.
+  // parseAmountInput drops the sign, which a spread may have.
+  const handleSave = () => {
+    const { raw } = parseAmountInput(value);
+    if (raw === "" || raw === ".") {
+      setError(t("override.invalidValue"));
+      return;
+    }
+    const negative = mode === "spread" && value.trim().startsWith("-");
+    const numeric = Number(raw) * (negative ? -1 : 1);
+    try {
+      onSave(mode, numeric);
+    } catch (e) {
+      setError(e.code ? t(`override.errors.${e.code}`, e.params) : e.message);
+    }
+  };
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={onDismiss}>
+        <Dialog.Title>{t("override.title", { from, to })}</Dialog.Title>
+        <Dialog.Content>
+          <SegmentedButtons
+            value={mode}
+            onValueChange={setMode}
+            buttons={[
+              { value: "absolute", label: t("override.fixed") },
+              { value: "spread", label: t("override.spread") },
+            ]}
+          />
+          <TextInput
+            label={
+              mode === "absolute"
+                ? `1 ${from} = ? ${to}`
+                : t("override.spreadLabel")
+            }
+            value={value}
+            onChangeText={setValue}
+            keyboardType="numbers-and-punctuation"
+            style={styles.overrideInput}
+          />
+          <HelperText type={error ? "error" : "info"}>
+            {error ||
+              t("override.official", {
+                rate: `1 ${from} = ${formatAmount(officialRate, to)} ${to}`,
+              })}
+          </HelperText>
+        </Dialog.Content>
+        <Dialog.Actions>
+          {existing && (
+            <Button textColor="#f44336" onPress={onRemove}>
+              {t("common.remove")}
+            </Button>
+          )}
+          <Button onPress={onDismiss}>{t("common.cancel")}</Button>
+          <Button onPress={handleSave}>{t("common.save")}</Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+// ─── "Recipient should get…" dialog ───────────────────────────────────────────
+// Asks for the amount that must arrive, in the target currency; the parent
+// works out the gross amount to send with the fee profile.
+function SolveNetDialog({ visible, to, profileName, onDismiss, onSolve }) {
+  const t = useTranslation();
+  const [value, setValue] = useState("");
+
+  useEffect(() => {
+    if (visible) setValue("");
+  }, [visible]);
+
+  const target = evaluateExpression(value);
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={onDismiss}>
+        <Dialog.Title>{t("fees.solveTitle")}</Dialog.Title>
+        <Dialog.Content>
+          <TextInput
+            label={t("fees.solveLabel", { currency: to })}
+            value={formatExpressionInput(value).formatted}
+            onChangeText={(text) => setValue(formatExpressionInput(text).raw)}
+            keyboardType="decimal-pad"
+            autoFocus
+          />
+          <HelperText type="info">
+            {t("fees.solveHint", { profile: profileName })}
+          </HelperText>
+        </Dialog.Content>
+        <Dialog.Actions>
+          <Button onPress={onDismiss}>{t("common.cancel")}</Button>
+          <Button onPress={() => onSolve(target)} disabled={!(target > 0)}>
+            {t("fees.solveApply")}
+          </Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+// ─── "On a past date" dialog ──────────────────────────────────────────────────
+// 'YYYY-MM-DD', `days` days before today — a UTC day, like rate snapshots
+const isoDaysAgo = (days) =>
+  new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const PAST_DATE_SHORTCUTS = [1, 7, 30, 90];
+
+// "31/01/2025" for a 'YYYY-MM-DD' day (or a full ISO time's day)
+const formatDay = (day, locale) => {
+  const date = new Date(`${day.slice(0, 10)}T00:00:00.000Z`);
+  if (isNaN(date.getTime())) return day;
+  return date.toLocaleDateString(locale, { timeZone: "UTC" });
+};
+
+// Where getRatesOn() found the rate, in one line
+const describePastSource = ({ source, asOf, provider }, locale, t) => {
+  if (source === "provider") {
+    return t("pastDate.fromProvider", {
+      provider: getProviderLabel(provider),
+      date: formatDay(asOf, locale),
+    });
+  }
+  const time = new Date(asOf).toLocaleString(locale);
+  return source === "snapshot"
+    ? t("pastDate.fromSnapshot", { date: time })
+    : t("pastDate.fromEarlierSnapshot", { date: time });
+};
+
+// Typed as YYYY-MM-DD, with one-tap shortcuts for the usual cases
+function PastDateDialog({ visible, initial, onDismiss, onPick }) {
+  const t = useTranslation();
+  const [value, setValue] = useState("");
+
+  useEffect(() => {
+    if (visible) setValue(initial ?? isoDaysAgo(7));
+  }, [visible, initial]);
+
+  // Rejects 2025-02-30 too: it must read back as the same day
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(value) : null;
+  const valid =
+    !!date &&
+    !isNaN(date.getTime()) &&
+    date.toISOString().slice(0, 10) === value &&
+    value < isoDaysAgo(0);
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={onDismiss}>
+        <Dialog.Title>{t("pastDate.dialogTitle")}</Dialog.Title>
+        <Dialog.Content>
+          <TextInput
+            label={t("pastDate.dateLabel")}
+            value={value}
+            onChangeText={setValue}
+            placeholder="2025-01-31"
+            keyboardType="numbers-and-punctuation"
+            autoFocus
+          />
+          <HelperText type={valid ? "info" : "error"}>
+            {valid ? t("pastDate.dateHint") : t("pastDate.invalidDate")}
+          </HelperText>
+          <View style={styles.shortcutRow}>
+            {PAST_DATE_SHORTCUTS.map((days) => (
+              <Chip
+                key={days}
+                compact
+                selected={value === isoDaysAgo(days)}
+                onPress={() => setValue(isoDaysAgo(days))}
+              >
+                {t("pastDate.daysAgo", { count: days })}
+              </Chip>
+            ))}
+          </View>
+        </Dialog.Content>
+        <Dialog.Actions>
+          <Button onPress={onDismiss}>{t("common.cancel")}</Button>
+          <Button onPress={() => onPick(value)} disabled={!valid}>
+            {t("pastDate.apply")}
+          </Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
 // ─── Main Screen ──────────────────────────────────────────────────────────────
-export default function ConverterScreen({ navigation }) {
+export default function ConverterScreen({ navigation, route }) {
   const colorScheme = useColorScheme();
   const isDark = colorScheme === "dark";
+  const t = useTranslation();
 
   // Core state
   const [rates, setRates] = useState(null);
   const [ratesMeta, setRatesMeta] = useState({
     source: null,
+    provider: null,
+    fetchedAt: null,
     ageMinutes: null,
   });
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
 
-  // Converter state — default: CNY → MGA as requested
-  // `amount` holds the raw numeric string (used for all calculations)
-  // `displayAmount` holds the formatted string with thousand separators (shown in the input)
-  const [amount, setAmount] = useState("");
-  const [displayAmount, setDisplayAmount] = useState("");
-  const [fromCurrency, setFromCurrency] = useState("CNY");
-  const [toCurrency, setToCurrency] = useState("MGA");
-  const [rounded, setRounded] = useState(false);
+  // Converter state — restored from settings (first launch: CNY → MGA)
+  // `amount` and `targetAmount` hold the raw strings typed in the FROM and
+  // TO fields — a number or a calculation like "250*12"; the inputs show
+  // them re-grouped for the chosen number locale. `editedSide` is the field
+  // typed in last: it wins, and the other one is computed from it.
+  const [amount, setAmount] = useState(
+    () =>
+      formatExpressionInput(String(getSetting("default_amount") ?? "")).raw,
+  );
+  const [targetAmount, setTargetAmount] = useState("");
+  const [editedSide, setEditedSide] = useState("from");
+  const [formatPrefs, setFormatPrefs] = useState(getFormatPrefs);
+  const editedAmount = editedSide === "from" ? amount : targetAmount;
+  const editedValue = evaluateExpression(editedAmount);
+  const editedIsExpression = isExpression(editedAmount);
+  const [fromCurrency, setFromCurrency] = useState(
+    () => getSetting("last_pair").from,
+  );
+  const [toCurrency, setToCurrency] = useState(
+    () => getSetting("last_pair").to,
+  );
+  const [rounded, setRounded] = useState(() => getSetting("rounded"));
   const [snackbar, setSnackbar] = useState("");
+  const [enabledCurrencies, setEnabledCurrencies] = useState(
+    getEnabledCurrencies,
+  );
+
+  // Street-rate overrides: `streetMode` off = always show the official rate
+  const [overrides, setOverrides] = useState(getRateOverrides);
+  const [streetMode, setStreetMode] = useState(() =>
+    getSetting("street_mode"),
+  );
+  const [overrideDialogVisible, setOverrideDialogVisible] = useState(false);
+  const activeOverrides = streetMode ? overrides : null;
+  const [menuVisible, setMenuVisible] = useState(false);
+
+  // Fee profile applied to the amount sent (null = no fees)
+  const [feeProfiles, setFeeProfiles] = useState(getFeeProfiles);
+  const [feeProfile, setFeeProfile] = useState(() =>
+    getFeeProfile(getSetting("fee_profile_id")),
+  );
+  const [feeMenuVisible, setFeeMenuVisible] = useState(false);
+  const [solveDialogVisible, setSolveDialogVisible] = useState(false);
+
+  // Past-date conversion — not remembered between launches
+  const [pastDate, setPastDate] = useState(null);
+  const [pastLookup, setPastLookup] = useState({ loading: false, found: null });
+  const [pastDialogVisible, setPastDialogVisible] = useState(false);
+
+  // ── Computed amounts ────────────────────────────────────────────────────────
+  // The rate used for this pair (shown below the result), and whether a
+  // street-rate override produced it
+  const effective = rates
+    ? getEffectiveRate(fromCurrency, toCurrency, rates, activeOverrides)
+    : null;
+  const currentRate =
+    effective && !isNaN(effective.rate) ? effective.rate : null;
+  const pairOverride = rates
+    ? getEffectiveRate(fromCurrency, toCurrency, rates, overrides).override
+    : null;
+  const toTarget = (value) =>
+    convert(value, fromCurrency, toCurrency, rates, activeOverrides);
+
+  // A currency the current rates don't list (another provider, a thinner
+  // fallback import): nothing is converted, and the result box says why
+  let missingRate = null;
+  if (rates && currentRate === null) {
+    missingRate = t("converter.noRate", { from: fromCurrency, to: toCurrency });
+  } else if (rates && feeProfile && rates[feeProfile.currency] == null) {
+    missingRate = t("fees.noRate", {
+      name: feeProfile.name,
+      currency: feeProfile.currency,
+    });
+  }
+
+  // The FROM amount (gross, when a fee profile applies) — typed, or worked
+  // back from the TO amount, which is then what the recipient gets after
+  // fees. null while the edited field is incomplete or invalid.
+  let amountValue = null;
+  if (editedSide === "from") {
+    amountValue = editedValue;
+  } else if (rates && !missingRate && editedValue !== null) {
+    const netFrom = convert(
+      editedValue,
+      toCurrency,
+      fromCurrency,
+      rates,
+      activeOverrides,
+    );
+    amountValue = feeProfile
+      ? solveGrossForNet(netFrom, fromCurrency, feeProfile, rates)
+      : netFrom;
+  }
+  const result =
+    rates && !missingRate && amountValue !== null
+      ? toTarget(amountValue)
+      : null;
+
+  // Fees are taken from the amount sent; the TO field shows what is left
+  const fees =
+    feeProfile && result !== null
+      ? applyFees(amountValue, fromCurrency, feeProfile, rates)
+      : null;
+  const received = fees ? toTarget(fees.net) : result;
 
-  // ── Thousand-separator formatter ────────────────────────────────────────────
-  // Called on every keystroke. Strips non-numeric chars, keeps one decimal
-  // point, then re-formats with commas: "1234567.8" → "1,234,567.8"
+  // The edited field shows what was typed; the computed one is rounded
+  const displayAmount =
+    editedSide === "from"
+      ? formatExpressionInput(amount).formatted
+      : amountValue === null
+        ? ""
+        : formatAmount(amountValue, fromCurrency, rounded);
+  const displayTarget =
+    editedSide === "to"
+      ? formatExpressionInput(targetAmount).formatted
+      : received === null
+        ? ""
+        : formatAmount(received, toCurrency, rounded);
+
+  // The same FROM amount (1 when empty) on the past date and today, both at
+  // official rates — overrides and fees are today's terms, not that day's
+  const pastRates = pastDate ? pastLookup.found?.rates : null;
+  const pastAmount = amountValue ?? 1;
+  let pastValue = null;
+  let todayValue = null;
+  let pastRate = null;
+  let pastChangeLabel = "";
+  const thenValue =
+    pastRates && currentRate !== null
+      ? convert(pastAmount, fromCurrency, toCurrency, pastRates)
+      : NaN;
+  if (!isNaN(thenValue)) {
+    pastValue = thenValue;
+    todayValue = convert(pastAmount, fromCurrency, toCurrency, rates);
+    pastRate = getEffectiveRate(fromCurrency, toCurrency, pastRates).rate;
+    const change = subtractMoney(todayValue, pastValue, toCurrency);
+    const percent = (effective.officialRate / pastRate - 1) * 100;
+    const amountText = formatMoney(Math.abs(change), toCurrency, rounded);
+    pastChangeLabel =
+      `${change >= 0 ? "+" : "−"}${amountText} ` +
+      `(${percent >= 0 ? "+" : "−"}${Math.abs(percent).toFixed(1)} %)`;
+  }
+
+  // Re-read the catalogue and preferences whenever we come back from
+  // Manage Currencies, Settings or Fee Profiles
+  useFocusEffect(
+    useCallback(() => {
+      setEnabledCurrencies(getEnabledCurrencies());
+      setOverrides(getRateOverrides());
+      setRounded(getSetting("rounded"));
+      setFormatPrefs(getFormatPrefs());
+      setFeeProfiles(getFeeProfiles());
+      setFeeProfile(getFeeProfile(getSetting("fee_profile_id")));
+    }, []),
+  );
+
+  // Remember the pair and toggles for the next launch
+  useEffect(() => {
+    setSetting("last_pair", { from: fromCurrency, to: toCurrency });
+  }, [fromCurrency, toCurrency]);
+  useEffect(() => {
+    setSetting("rounded", rounded);
+  }, [rounded]);
+  useEffect(() => {
+    setSetting("street_mode", streetMode);
+  }, [streetMode]);
+
+  // Look the past rates up again whenever the date or the pair changes
+  useEffect(() => {
+    if (!pastDate) return undefined;
+    let cancelled = false;
+    const lookup = async () => {
+      setPastLookup({ loading: true, found: null });
+      let found = null;
+      try {
+        found = await getRatesOn(pastDate, fromCurrency, toCurrency);
+      } catch (e) {
+        console.warn("Past-date lookup failed:", e);
+      }
+      if (!cancelled) setPastLookup({ loading: false, found });
+    };
+    lookup();
+    return () => {
+      cancelled = true;
+    };
+  }, [pastDate, fromCurrency, toCurrency]);
+
+  // Called on every keystroke — see formatExpressionInput in calculator.js
   const handleAmountChange = (text) => {
-    // 1. Strip everything except digits and one decimal point
-    const cleaned = text.replace(/[^0-9.]/g, "");
-
-    // 2. Prevent more than one decimal point
-    const parts = cleaned.split(".");
-    const raw =
-      parts.length > 2
-        ? parts[0] + "." + parts.slice(1).join("") // collapse extra dots
-        : cleaned;
-
-    // 3. Format the integer part with commas, preserve decimal part as-is
-    const [intPart, decPart] = raw.split(".");
-    const formattedInt = intPart.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-    const formatted =
-      decPart !== undefined ? formattedInt + "." + decPart : formattedInt;
-
-    setAmount(raw); // plain value for math
-    setDisplayAmount(formatted); // pretty value for display
+    setAmount(formatExpressionInput(text).raw);
+    setEditedSide("from");
+  };
+
+  const handleTargetChange = (text) => {
+    setTargetAmount(formatExpressionInput(text).raw);
+    setEditedSide("to");
   };
 
   // Debounce timer ref — we save to history only after the user
@@ -149,19 +567,25 @@ export default function ConverterScreen({ navigation }) {
     else setLoading(true);
 
     try {
-      const { rates: r, source, ageMinutes } = await getRates();
+      const {
+        rates: r,
+        source,
+        provider,
+        fetchedAt,
+        ageMinutes,
+      } = await getRates();
       setRates(r);
-      setRatesMeta({ source, ageMinutes });
+      setRatesMeta({ source, provider, fetchedAt, ageMinutes });
 
       if (isRefresh) {
         setSnackbar(
           source === "live"
-            ? "✅ Rates updated!"
-            : "⚠️ Using cached rates — no internet",
+            ? t("converter.ratesUpdated")
+            : t("converter.usingCache"),
         );
       }
     } catch (e) {
-      setSnackbar("Could not load rates");
+      setSnackbar(t("converter.loadFailed"));
     } finally {
       setLoading(false);
       setRefreshing(false);
@@ -172,30 +596,142 @@ export default function ConverterScreen({ navigation }) {
     loadRates();
   }, [loadRates]);
 
+  // Opened on a specific pair (dashboard card, rate-alert notification)
+  const paramFrom = route.params?.from;
+  const paramTo = route.params?.to;
+  const paramAmount = route.params?.amount;
+  useEffect(() => {
+    if (!paramFrom || !paramTo || paramFrom === paramTo) return;
+    setFromCurrency(paramFrom);
+    setToCurrency(paramTo);
+    if (paramAmount) handleAmountChange(String(paramAmount));
+  }, [paramFrom, paramTo, paramAmount]);
+
+  // Pick up rates fetched by the background sync (foreground / reconnect)
+  useEffect(
+    () =>
+      onRatesRefreshed(
+        ({ rates: r, source, provider, fetchedAt, ageMinutes }) => {
+          setRates(r);
+          setRatesMeta({ source, provider, fetchedAt, ageMinutes });
+        },
+      ),
+    [],
+  );
+
   // ── Save to history — debounced, only for the main conversion ───────────────
   // We deliberately do NOT put this in a useEffect that watches `rates`,
   // because that would fire for every rate-board row automatically.
   // Instead we trigger it only when the user actively changes amount or
   // currency, with an 800 ms idle wait so each "session" = 1 history entry.
-  const scheduleHistorySave = useCallback((from, to, amt, currentRates) => {
-    if (saveTimer.current) clearTimeout(saveTimer.current);
-    if (!currentRates || !amt || isNaN(amt) || parseFloat(amt) <= 0) return;
-
-    saveTimer.current = setTimeout(() => {
-      const numericAmount = parseFloat(amt);
-      const result = convert(numericAmount, from, to, currentRates);
-      const rate = convert(1, from, to, currentRates);
-      saveToHistory(from, to, numericAmount, result, rate);
-    }, 800);
-  }, []);
+  // `typed` is the raw text of the edited field, `numericAmount` the FROM
+  // amount it resolves to and `expression` the FROM calculation, if any.
+  const scheduleHistorySave = useCallback(
+    (
+      from,
+      to,
+      typed,
+      numericAmount,
+      expression,
+      currentRates,
+      currentOverrides,
+    ) => {
+      if (saveTimer.current) clearTimeout(saveTimer.current);
+      if (!currentRates || !numericAmount || numericAmount <= 0) return;
+      // Wait until a calculation is finished — "250×" is still being typed
+      if (/[-+*/(]$/.test(typed)) return;
+
+      saveTimer.current = setTimeout(() => {
+        const { rate, override } = getEffectiveRate(
+          from,
+          to,
+          currentRates,
+          currentOverrides,
+        );
+        const result = convert(
+          numericAmount,
+          from,
+          to,
+          currentRates,
+          currentOverrides,
+        );
+        saveToHistory(
+          from,
+          to,
+          numericAmount,
+          result,
+          rate,
+          !!override,
+          expression,
+        );
+      }, 800);
+    },
+    [],
+  );
 
-  // Trigger debounced save whenever the user changes amount or currency pair
+  // Trigger debounced save whenever the user changes either amount or the
+  // currency pair — a TO-side entry is saved as the FROM amount it needs
+  const historyExpression =
+    editedSide === "from" && editedIsExpression ? amount : null;
   useEffect(() => {
-    scheduleHistorySave(fromCurrency, toCurrency, amount, rates);
+    scheduleHistorySave(
+      fromCurrency,
+      toCurrency,
+      editedAmount,
+      amountValue,
+      historyExpression,
+      rates,
+      activeOverrides,
+    );
     return () => {
       if (saveTimer.current) clearTimeout(saveTimer.current);
     };
-  }, [amount, fromCurrency, toCurrency, scheduleHistorySave, rates]);
+  }, [
+    editedAmount,
+    amountValue,
+    historyExpression,
+    fromCurrency,
+    toCurrency,
+    scheduleHistorySave,
+    rates,
+    activeOverrides,
+  ]);
+
+  // ── Favorite pairs (dashboard) ──────────────────────────────────────────────
+  const [pinned, setPinned] = useState(false);
+  useEffect(() => {
+    setPinned(isFavoritePair(fromCurrency, toCurrency));
+  }, [fromCurrency, toCurrency]);
+
+  // Pinning stores the current amount as the card's default amount
+  const handleTogglePin = () => {
+    if (pinned) {
+      deleteFavoritePair(fromCurrency, toCurrency);
+      setSnackbar(
+        t("converter.unpinned", { pair: `${fromCurrency} → ${toCurrency}` }),
+      );
+    } else {
+      const defaultAmount = amountValue > 0 ? amountValue : null;
+      try {
+        saveFavoritePair(fromCurrency, toCurrency, defaultAmount);
+      } catch (e) {
+        setSnackbar(
+          e.code ? t(`converter.pinErrors.${e.code}`, e.params) : e.message,
+        );
+        return;
+      }
+      setSnackbar(
+        t("converter.pinned", { pair: `${fromCurrency} → ${toCurrency}` }),
+      );
+    }
+    setPinned(!pinned);
+  };
+
+  const openScreen = (name, params) => {
+    setMenuVisible(false);
+    Keyboard.dismiss();
+    navigation.navigate(name, params);
+  };
 
   // ── Swap currencies ─────────────────────────────────────────────────────────
   const handleSwap = () => {
@@ -220,53 +756,163 @@ export default function ConverterScreen({ navigation }) {
     outputRange: ["0deg", "180deg"],
   });
 
-  // ── Computed result ─────────────────────────────────────────────────────────
-  const result =
-    rates && amount && !isNaN(amount)
-      ? convert(parseFloat(amount), fromCurrency, toCurrency, rates)
-      : null;
+  const handleSelectFeeProfile = (profile) => {
+    setFeeMenuVisible(false);
+    setFeeProfile(profile);
+    setSetting("fee_profile_id", profile ? profile.id : null);
+  };
 
-  // The rate used for this pair (shown below the result)
-  const currentRate = rates
-    ? convert(1, fromCurrency, toCurrency, rates)
-    : null;
+  // Amount that must arrive → typed into the TO field, which works out
+  // the gross to send
+  const handleSolveNet = (target) => {
+    handleTargetChange(String(target));
+    setSolveDialogVisible(false);
+  };
+
+  const handleSaveOverride = (mode, value) => {
+    saveRateOverride(fromCurrency, toCurrency, mode, value);
+    setOverrides(getRateOverrides());
+    setStreetMode(true);
+    setOverrideDialogVisible(false);
+  };
+
+  const handleRemoveOverride = () => {
+    deleteRateOverride(fromCurrency, toCurrency);
+    setOverrides(getRateOverrides());
+    setOverrideDialogVisible(false);
+  };
 
   // ── Status badge ────────────────────────────────────────────────────────────
   const sourceBadge = () => {
     if (!ratesMeta.source) return null;
     const config = {
-      live: { icon: "wifi", color: "#4CAF50", label: "Live rates" },
+      live: {
+        icon: "wifi",
+        color: "#4CAF50",
+        label: t("converter.live", {
+          provider: getProviderLabel(ratesMeta.provider),
+        }),
+      },
       cache: {
         icon: "clock-outline",
         color: "#FF9800",
-        label: `Cached · ${ratesMeta.ageMinutes}m ago`,
+        label: t("converter.cached", { minutes: ratesMeta.ageMinutes }),
       },
       fallback: {
         icon: "wifi-off",
         color: "#9E9E9E",
-        label: "Offline — fallback rates",
+        label: t("converter.fallback"),
       },
     }[ratesMeta.source];
 
+    // Tap for provider publish time, cache expiry and the last fetch error
     return (
       <Chip
         icon={config.icon}
         style={[styles.badge, { borderColor: config.color }]}
         textStyle={{ color: config.color, fontSize: 11 }}
+        onPress={() => openScreen("RateDetails")}
       >
         {config.label}
       </Chip>
     );
   };
 
-  const otherCurrencies = CURRENCIES.filter((c) => c !== fromCurrency);
+  // ── Rate badge — which rate the result box is using ─────────────────────────
+  const rateBadge = () => {
+    if (!effective || fromCurrency === toCurrency) return null;
+    const { override } = effective;
+    const label = !override
+      ? t("converter.officialRate")
+      : override.mode === "spread"
+        ? t("converter.streetSpread", {
+            spread:
+              (override.value >= 0 ? "+" : "−") +
+              formatAmount(Math.abs(override.value), null),
+          })
+        : t("converter.streetFixed");
+    const color = override ? "#8E24AA" : "#3A7BD5";
+
+    return (
+      <Chip
+        icon={override ? "storefront-outline" : "bank-outline"}
+        style={[styles.badge, { borderColor: color }]}
+        textStyle={{ color, fontSize: 11 }}
+        onPress={() => setOverrideDialogVisible(true)}
+      >
+        {label}
+      </Chip>
+    );
+  };
+
+  // ── Fee badge — which fee profile applies, tap to change ────────────────────
+  const feeBadge = () => {
+    const color = feeProfile ? "#00897B" : "#9E9E9E";
+    return (
+      <Menu
+        visible={feeMenuVisible}
+        onDismiss={() => setFeeMenuVisible(false)}
+        anchor={
+          <Chip
+            icon="cash-minus"
+            style={[styles.badge, { borderColor: color }]}
+            textStyle={{ color, fontSize: 11 }}
+            onPress={() => setFeeMenuVisible(true)}
+          >
+            {feeProfile
+              ? t("fees.badge", { name: feeProfile.name })
+              : t("fees.none")}
+          </Chip>
+        }
+      >
+        <Menu.Item
+          leadingIcon={feeProfile ? "circle-outline" : "check"}
+          title={t("fees.none")}
+          onPress={() => handleSelectFeeProfile(null)}
+        />
+        {feeProfiles.map((profile) => (
+          <Menu.Item
+            key={profile.id}
+            leadingIcon={
+              feeProfile?.id === profile.id ? "check" : "circle-outline"
+            }
+            title={profile.name}
+            onPress={() => handleSelectFeeProfile(profile)}
+          />
+        ))}
+        <Divider />
+        <Menu.Item
+          leadingIcon="pencil-outline"
+          title={t("fees.manage")}
+          onPress={() => {
+            setFeeMenuVisible(false);
+            openScreen("FeeProfiles");
+          }}
+        />
+      </Menu>
+    );
+  };
+
+  // Currency symbol goes on the side chosen in Settings
+  const symbolAfter = formatPrefs.symbolPosition === "after";
+  const fromSymbolAffix = (
+    <TextInput.Affix text={getCurrencyInfo(fromCurrency).symbol} />
+  );
+  const toSymbolAffix = (
+    <TextInput.Affix text={getCurrencyInfo(toCurrency).symbol} />
+  );
+
+  // Only offer currencies the current rate set actually knows about
+  // (the offline fallback may cover just a few)
+  const currencies = enabledCurrencies.filter((c) => rates?.[c] != null);
+  const otherCurrencies = currencies.filter((c) => c !== fromCurrency);
 
   if (loading) {
     return (
       <View style={styles.centered}>
         <ActivityIndicator size="large" />
         <Text style={{ marginTop: 12, color: "#999" }}>
-          Fetching exchange rates…
+          {t("converter.loading")}
         </Text>
       </View>
     );
@@ -286,23 +932,87 @@ export default function ConverterScreen({ navigation }) {
       >
         {/* ── Status badge ─────────────────────────────────────────────── */}
         <View style={styles.badgeRow}>
-          {sourceBadge()}
-          <IconButton
-            icon="history"
-            size={22}
-            iconColor={isDark ? "#aaa" : "#555"}
-            onPress={() => {
-              Keyboard.dismiss();
-              navigation.navigate("History");
-            }}
-          />
+          <View style={styles.badges}>
+            {sourceBadge()}
+            {rateBadge()}
+            {feeBadge()}
+          </View>
+          <View style={styles.badgeActions}>
+            <IconButton
+              icon="history"
+              size={22}
+              iconColor={isDark ? "#aaa" : "#555"}
+              onPress={() => openScreen("History")}
+            />
+            <Menu
+              visible={menuVisible}
+              onDismiss={() => setMenuVisible(false)}
+              anchor={
+                <IconButton
+                  icon="dots-vertical"
+                  size={22}
+                  iconColor={isDark ? "#aaa" : "#555"}
+                  onPress={() => setMenuVisible(true)}
+                />
+              }
+            >
+              <Menu.Item
+                leadingIcon="basket-outline"
+                title={t("converter.menu.basket")}
+                onPress={() => openScreen("Basket")}
+              />
+              <Menu.Item
+                leadingIcon="chart-line"
+                title={t("converter.menu.trends")}
+                onPress={() =>
+                  openScreen("Trends", { from: fromCurrency, to: toCurrency })
+                }
+              />
+              <Menu.Item
+                leadingIcon="bell-outline"
+                title={t("converter.menu.alerts")}
+                onPress={() =>
+                  openScreen("Alerts", { from: fromCurrency, to: toCurrency })
+                }
+              />
+              <Menu.Item
+                leadingIcon="cash-multiple"
+                title={t("converter.menu.currencies")}
+                onPress={() => openScreen("ManageCurrencies")}
+              />
+              <Menu.Item
+                leadingIcon="database-sync-outline"
+                title={t("converter.menu.backup")}
+                onPress={() => openScreen("Backup")}
+              />
+              <Menu.Item
+                leadingIcon="cog-outline"
+                title={t("converter.menu.settings")}
+                onPress={() => openScreen("Settings")}
+              />
+            </Menu>
+          </View>
         </View>
 
+        {/* ── Fallback warning — these rates may be far from today's ───── */}
+        {ratesMeta.source === "fallback" && (
+          <Surface style={styles.fallbackWarning} elevation={0}>
+            <Text style={styles.fallbackWarningText}>
+              {t("converter.fallbackWarning", {
+                count: Math.floor(ratesMeta.ageMinutes / 1440),
+                date: new Date(ratesMeta.fetchedAt).toLocaleDateString(
+                  formatPrefs.locale,
+                ),
+              })}
+            </Text>
+          </Surface>
+        )}
+
         {/* ── FROM currency selector ────────────────────────────────────── */}
         <Surface style={[styles.card, isDark && styles.cardDark]} elevation={2}>
-          <Text style={styles.sectionLabel}>FROM</Text>
+          <Text style={styles.sectionLabel}>{t("common.from")}</Text>
           <View style={styles.currencyRow}>
-            {CURRENCIES.map((c) => (
+            {currencies.map((c) => (
               <CurrencyButton
                 key={c}
                 currency={c}
@@ -316,17 +1026,36 @@ export default function ConverterScreen({ navigation }) {
           </View>
 
           <TextInput            
-            label={`Amount in ${fromCurrency}`}
+            label={t("converter.amountIn", { currency: fromCurrency })}
             value={displayAmount}
             onChangeText={handleAmountChange}
             keyboardType="decimal-pad"
             placeholder="0"
-            left={<TextInput.Affix text={CURRENCY_INFO[fromCurrency].symbol} />}
+            left={symbolAfter ? undefined : fromSymbolAffix}
+            right={symbolAfter ? fromSymbolAffix : undefined}
             style={styles.amountInput}
             returnKeyType="done"
             onSubmitEditing={Keyboard.dismiss}
             theme={{ colors: { background: isDark ? "#1a1a2e" : "#ffffff" } }}
           />
+          {editedSide === "from" && editedIsExpression && (
+            <HelperText type={amountValue === null ? "error" : "info"}>
+              {amountValue === null
+                ? t("converter.invalidExpression")
+                : `= ${formatMoney(amountValue, fromCurrency)}`}
+            </HelperText>
+          )}
+          <View style={styles.operatorRow}>
+            {OPERATOR_KEYS.map((op) => (
+              <TouchableOpacity
+                key={op}
+                onPress={() => handleAmountChange(displayAmount + op)}
+                style={styles.operatorBtn}
+              >
+                <Text style={styles.operatorBtnText}>{op}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
         </Surface>
 
         {/* ── Swap + Round row ─────────────────────────────────────────── */}
@@ -341,22 +1070,39 @@ export default function ConverterScreen({ navigation }) {
             >
               ⇄
             </Animated.Text>
-            <Text style={styles.swapLabel}>Swap</Text>
+            <Text style={styles.swapLabel}>{t("converter.swap")}</Text>
           </TouchableOpacity>
 
           <View style={styles.roundRow}>
             <Text style={[styles.roundLabel, isDark && styles.textDark]}>
-              Round
+              {t("converter.round")}
             </Text>
             <Switch value={rounded} onValueChange={setRounded} />
+            {pairOverride && (
+              <>
+                <Text style={[styles.roundLabel, isDark && styles.textDark]}>
+                  {t("converter.street")}
+                </Text>
+                <Switch value={streetMode} onValueChange={setStreetMode} />
+              </>
+            )}
           </View>
         </View>
 
         {/* ── TO currency selector ──────────────────────────────────────── */}
         <Surface style={[styles.card, isDark && styles.cardDark]} elevation={2}>
-          <Text style={styles.sectionLabel}>TO</Text>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionLabel}>{t("common.to")}</Text>
+            <IconButton
+              icon={pinned ? "pin" : "pin-outline"}
+              size={20}
+              iconColor={pinned ? "#E8352B" : "#999"}
+              style={styles.pinBtn}
+              onPress={handleTogglePin}
+            />
+          </View>
           <View style={styles.currencyRow}>
-            {CURRENCIES.map((c) => (
+            {currencies.map((c) => (
               <CurrencyButton
                 key={c}
                 currency={c}
@@ -369,48 +1115,183 @@ export default function ConverterScreen({ navigation }) {
             ))}
           </View>
 
-          {/* Result display */}
+          {/* Result display — also an input: typing here works back to FROM */}
           <View style={[styles.resultBox, isDark && styles.resultBoxDark]}>
+            <TextInput
+              label={
+                fees
+                  ? t("fees.solveLabel", { currency: toCurrency })
+                  : t("converter.amountIn", { currency: toCurrency })
+              }
+              value={displayTarget}
+              onChangeText={handleTargetChange}
+              keyboardType="decimal-pad"
+              placeholder="0"
+              left={symbolAfter ? undefined : toSymbolAffix}
+              right={symbolAfter ? toSymbolAffix : undefined}
+              style={styles.resultInput}
+              textColor="#E8352B"
+              returnKeyType="done"
+              onSubmitEditing={Keyboard.dismiss}
+              theme={{
+                colors: { background: isDark ? "#0f0f1a" : "#f9f9f9" },
+              }}
+            />
+            {editedSide === "to" && editedIsExpression && (
+              <HelperText type={editedValue === null ? "error" : "info"}>
+                {editedValue === null
+                  ? t("converter.invalidExpression")
+                  : `= ${formatMoney(editedValue, toCurrency)}`}
+              </HelperText>
+            )}
             {result !== null ? (
               <>
-                <Text style={styles.resultValue}>
-                  {CURRENCY_INFO[toCurrency].symbol}{" "}
-                  {formatAmount(result, toCurrency, rounded)}
-                </Text>
                 <Text style={styles.resultCurrency}>
-                  {toCurrency} · {CURRENCY_INFO[toCurrency].name}
+                  {toCurrency} · {currencyName(toCurrency)}
                 </Text>
-                {/* ── Rate used — answers remark #1 ── */}
-                {currentRate !== null && (
-                  <Text style={styles.rateUsed}>
-                    1 {fromCurrency} = {formatAmount(currentRate, toCurrency)}{" "}
-                    {toCurrency}
-                  </Text>
+                {/* ── Gross / fees / net, in both currencies ── */}
+                {fees && (
+                  <View style={styles.feeTable}>
+                    {[
+                      ["gross", fees.gross],
+                      ["fees", fees.fee],
+                      ["net", fees.net],
+                    ].map(([key, value]) => (
+                      <View key={key} style={styles.feeRow}>
+                        <Text style={styles.feeLabel}>{t(`fees.${key}`)}</Text>
+                        <Text style={styles.feeValue}>
+                          {key === "fees" ? "− " : ""}
+                          {formatMoney(value, fromCurrency)} ·{" "}
+                          {formatMoney(toTarget(value), toCurrency, rounded)}
+                        </Text>
+                      </View>
+                    ))}
+                  </View>
                 )}
               </>
             ) : (
-              <>
-                <Text style={styles.resultPlaceholder}>
-                  Enter an amount above
-                </Text>
-                {/* Show rate even with no amount */}
-                {currentRate !== null && (
-                  <Text style={styles.rateUsed}>
-                    1 {fromCurrency} = {formatAmount(currentRate, toCurrency)}{" "}
-                    {toCurrency}
-                  </Text>
-                )}
-              </>
+              <Text style={styles.resultPlaceholder}>
+                {missingRate ?? t("converter.enterAmount")}
+              </Text>
+            )}
+            {/* ── Rate used — answers remark #1; shown even with no amount ── */}
+            {currentRate !== null && (
+              <Text style={styles.rateUsed}>
+                1 {fromCurrency} = {formatAmount(currentRate, toCurrency)}{" "}
+                {toCurrency}
+              </Text>
             )}
           </View>
+          {feeProfile && (
+            <Button
+              icon="target"
+              compact
+              style={styles.solveBtn}
+              onPress={() => setSolveDialogVisible(true)}
+            >
+              {t("fees.solve")}
+            </Button>
+          )}
+        </Surface>
+
+        {/* ── On a past date — worth then vs today ──────────────────────── */}
+        <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionLabel}>{t("pastDate.title")}</Text>
+            {pastDate && (
+              <IconButton
+                icon="close"
+                size={20}
+                iconColor="#999"
+                style={styles.pinBtn}
+                accessibilityLabel={t("pastDate.clear")}
+                onPress={() => setPastDate(null)}
+              />
+            )}
+          </View>
+          {!pastDate ? (
+            <Button
+              icon="calendar-clock"
+              onPress={() => setPastDialogVisible(true)}
+            >
+              {t("pastDate.pick")}
+            </Button>
+          ) : (
+            <>
+              <Chip
+                icon="calendar"
+                style={styles.pastDateChip}
+                onPress={() => setPastDialogVisible(true)}
+              >
+                {formatDay(pastDate, formatPrefs.locale)}
+              </Chip>
+              {pastLookup.loading ? (
+                <ActivityIndicator style={styles.pastLoading} />
+              ) : pastValue === null ? (
+                <Text style={styles.pastEmpty}>{t("pastDate.notFound")}</Text>
+              ) : (
+                <View style={styles.pastTable}>
+                  <Text style={styles.pastAmount}>
+                    {formatMoney(pastAmount, fromCurrency)}
+                  </Text>
+                  {[
+                    [
+                      t("pastDate.then", {
+                        date: formatDay(pastDate, formatPrefs.locale),
+                      }),
+                      pastValue,
+                      pastRate,
+                    ],
+                    [t("pastDate.today"), todayValue, effective.officialRate],
+                  ].map(([label, value, rate]) => (
+                    <View key={label} style={styles.pastRow}>
+                      <View>
+                        <Text style={styles.pastLabel}>{label}</Text>
+                        <Text style={styles.rateUsed}>
+                          1 {fromCurrency} ={" "}
+                          {formatAmount(rate, toCurrency)} {toCurrency}
+                        </Text>
+                      </View>
+                      <Text style={styles.pastValue}>
+                        {formatMoney(value, toCurrency, rounded)}
+                      </Text>
+                    </View>
+                  ))}
+                  <View style={styles.pastRow}>
+                    <Text style={styles.pastLabel}>
+                      {t("pastDate.difference")}
+                    </Text>
+                    <Text style={[styles.pastValue, styles.pastChange]}>
+                      {pastChangeLabel}
+                    </Text>
+                  </View>
+                  <Text style={styles.pastSource}>
+                    {describePastSource(
+                      pastLookup.found,
+                      formatPrefs.locale,
+                      t,
+                    )}
+                    {"\n"}
+                    {t("pastDate.officialNote")}
+                  </Text>
+                </View>
+              )}
+            </>
+          )}
         </Surface>
 
         {/* ── Rate board ────────────────────────────────────────────────── */}
         <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
           <Text style={styles.sectionLabel}>
-            {amount
-              ? `${displayAmount} ${fromCurrency} equals`
-              : `1 ${fromCurrency} equals`}
+            {t("converter.equals", {
+              amount:
+                amountValue === null
+                  ? "1"
+                  : editedSide === "from" && !editedIsExpression
+                    ? displayAmount
+                    : formatAmount(amountValue, fromCurrency),
+              currency: fromCurrency,
+            })}
           </Text>
           <Divider style={{ marginBottom: 8 }} />
           {otherCurrencies.map((c) => (
@@ -419,7 +1300,8 @@ export default function ConverterScreen({ navigation }) {
               from={fromCurrency}
               to={c}
               rates={rates}
-              amount={amount ? parseFloat(amount) : null}
+              overrides={activeOverrides}
+              amount={amountValue}
               rounded={rounded}
             />
           ))}
@@ -433,13 +1315,17 @@ export default function ConverterScreen({ navigation }) {
               onPress={() => handleAmountChange(String(v))}
               style={[
                 styles.quickBtn,
-                amount === String(v) && styles.quickBtnActive,
+                editedSide === "from" &&
+                  amount === String(v) &&
+                  styles.quickBtnActive,
               ]}
             >
               <Text
                 style={[
                   styles.quickBtnText,
-                  amount === String(v) && styles.quickBtnTextActive,
+                  editedSide === "from" &&
+                    amount === String(v) &&
+                    styles.quickBtnTextActive,
                 ]}
               >
                 {v}
@@ -449,6 +1335,39 @@ export default function ConverterScreen({ navigation }) {
         </View>
       </ScrollView>
 
+      {effective && (
+        <OverrideDialog
+          visible={overrideDialogVisible}
+          from={fromCurrency}
+          to={toCurrency}
+          officialRate={effective.officialRate}
+          existing={pairOverride}
+          onDismiss={() => setOverrideDialogVisible(false)}
+          onSave={handleSaveOverride}
+          onRemove={handleRemoveOverride}
+        />
+      )}
+
+      {feeProfile && (
+        <SolveNetDialog
+          visible={solveDialogVisible}
+          to={toCurrency}
+          profileName={feeProfile.name}
+          onDismiss={() => setSolveDialogVisible(false)}
+          onSolve={handleSolveNet}
+        />
+      )}
+
+      <PastDateDialog
+        visible={pastDialogVisible}
+        initial={pastDate}
+        onDismiss={() => setPastDialogVisible(false)}
+        onPick={(date) => {
+          setPastDate(date);
+          setPastDialogVisible(false);
+        }}
+      />
+
       <Snackbar
         visible={!!snackbar}
         onDismiss={() => setSnackbar("")}
@@ -486,11 +1405,33 @@ const styles = StyleSheet.create({
     alignItems: "center",
     marginBottom: 8,
   },
+  badges: {
+    flexShrink: 1,
+    gap: 6,
+    alignItems: "flex-start",
+  },
+  badgeActions: {
+    flexDirection: "row",
+  },
   badge: {
     borderWidth: 1,
     backgroundColor: "transparent",
   },
 
+  // Offline fallback warning
+  fallbackWarning: {
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+    backgroundColor: "#FFF3E0",
+    borderWidth: 1,
+    borderColor: "#FF9800",
+  },
+  fallbackWarningText: {
+    fontSize: 13,
+    color: "#8a4b00",
+  },
+
   // Cards
   card: {
     borderRadius: 16,
@@ -500,6 +1441,15 @@ const styles = StyleSheet.create({
   cardDark: {
     backgroundColor: "#1a1a2e",
   },
+  sectionHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "flex-start",
+  },
+  pinBtn: {
+    margin: 0,
+    marginTop: -8,
+  },
   sectionLabel: {
     fontSize: 11,
     fontWeight: "700",
@@ -510,14 +1460,16 @@ const styles = StyleSheet.create({
   },
 
   // Currency selector buttons
+  // Wraps after four buttons when more currencies are enabled
   currencyRow: {
     flexDirection: "row",
-    justifyContent: "space-between",
+    flexWrap: "wrap",
     marginBottom: 14,
     gap: 6,
   },
   currencyBtn: {
-    flex: 1,
+    flexGrow: 1,
+    flexBasis: "22%",
     alignItems: "center",
     paddingVertical: 10,
     borderRadius: 12,
@@ -550,6 +1502,31 @@ const styles = StyleSheet.create({
     paddingLeft: 6,
   },
 
+  // Calculator operator keys
+  operatorRow: {
+    flexDirection: "row",
+    gap: 6,
+    marginTop: 8,
+  },
+  operatorBtn: {
+    flex: 1,
+    alignItems: "center",
+    paddingVertical: 6,
+    borderRadius: 10,
+    borderWidth: 1.5,
+    borderColor: "#ddd",
+    backgroundColor: "#fff",
+  },
+  operatorBtnText: {
+    fontSize: 18,
+    fontWeight: "600",
+    color: "#555",
+  },
+
+  overrideInput: {
+    marginTop: 12,
+  },
+
   // Swap + round row
   controlsRow: {
     flexDirection: "row",
@@ -601,11 +1578,13 @@ const styles = StyleSheet.create({
   resultBoxDark: {
     backgroundColor: "#0f0f1a",
   },
-  resultValue: {
-    fontSize: 38,
+  // TO amount input — big and red like a result, but editable
+  resultInput: {
+    alignSelf: "stretch",
+    marginHorizontal: 12,
+    backgroundColor: "transparent",
+    fontSize: 32,
     fontWeight: "bold",
-    color: "#E8352B",
-    letterSpacing: -0.5,
   },
   resultCurrency: {
     fontSize: 13,
@@ -625,6 +1604,80 @@ const styles = StyleSheet.create({
     fontStyle: "italic",
   },
 
+  // Gross / fees / net breakdown under the result
+  feeTable: {
+    alignSelf: "stretch",
+    marginTop: 10,
+    gap: 2,
+  },
+  feeRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  feeLabel: {
+    fontSize: 12,
+    color: "#999",
+  },
+  feeValue: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#777",
+  },
+  solveBtn: {
+    alignSelf: "center",
+    marginTop: 8,
+  },
+
+  // On a past date
+  pastDateChip: {
+    alignSelf: "flex-start",
+    marginTop: 4,
+  },
+  pastLoading: {
+    marginVertical: 16,
+  },
+  pastEmpty: {
+    fontSize: 13,
+    color: "#999",
+    fontStyle: "italic",
+    marginTop: 10,
+  },
+  pastTable: {
+    marginTop: 10,
+    gap: 8,
+  },
+  pastAmount: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#999",
+  },
+  pastRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  pastLabel: {
+    fontSize: 13,
+    color: "#777",
+  },
+  pastValue: {
+    fontSize: 16,
+    fontWeight: "700",
+  },
+  pastChange: {
+    color: "#E8352B",
+  },
+  pastSource: {
+    fontSize: 11,
+    color: "#aaa",
+    marginTop: 4,
+  },
+  shortcutRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 6,
+  },
+
   // Rate board
   rateRow: {
     flexDirection: "row",
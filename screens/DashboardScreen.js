@@ -0,0 +1,247 @@
+/**
+ * DASHBOARD SCREEN
+ *
+ * Home screen: every pinned favorite pair at a glance.
+ * Each card shows:
+ * - The pair with flags
+ * - The pair's default amount converted (or the 1-unit rate)
+ * - The current rate and its change since the previous snapshot
+ * Tap a card to open the converter on that pair; long-press to unpin.
+ */
+
+import React, { useState, useCallback, useEffect } from 'react';
+import { View, FlatList, StyleSheet, TouchableOpacity, RefreshControl, useColorScheme } from 'react-native';
+import { Text, Surface, Button, FAB, IconButton, Snackbar, ActivityIndicator } from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  getRates,
+  getFavoritePairs,
+  deleteFavoritePair,
+  getPreviousSnapshot,
+  getRateOverrides,
+  getSetting,
+  getCurrencyInfo,
+  convert,
+  getEffectiveRate,
+  formatAmount,
+  formatMoney,
+} from '../ratesService';
+import { onRatesRefreshed } from '../backgroundSync';
+import { useTranslation } from '../i18n';
+
+// ─── Pair card ────────────────────────────────────────────────────────────────
+function PairCard({ pair, rates, previousRates, overrides, isDark, onPress, onLongPress }) {
+  const { from_currency: from, to_currency: to, default_amount: amount } = pair;
+  if (rates[from] == null || rates[to] == null) return null;
+
+  const fromInfo = getCurrencyInfo(from);
+  const toInfo = getCurrencyInfo(to);
+  const { rate } = getEffectiveRate(from, to, rates, overrides);
+
+  // Change is measured on official rates — overrides don't move between fetches
+  const canCompare = previousRates && previousRates[from] != null && previousRates[to] != null;
+  const before = canCompare ? getEffectiveRate(from, to, previousRates).rate : null;
+  const changePct = canCompare
+    ? ((getEffectiveRate(from, to, rates).rate - before) / before) * 100
+    : null;
+
+  return (
+    <TouchableOpacity onPress={onPress} onLongPress={onLongPress} activeOpacity={0.7}>
+      <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+        <View style={styles.cardTop}>
+          <Text style={styles.pair}>
+            {fromInfo.flag} {from} → {toInfo.flag} {to}
+          </Text>
+          {changePct !== null && (
+            <Text style={[styles.change, { color: changePct >= 0 ? '#4CAF50' : '#f44336' }]}>
+              {changePct >= 0 ? '▲' : '▼'} {Math.abs(changePct).toFixed(2)}%
+            </Text>
+          )}
+        </View>
+        <Text style={styles.value}>
+          {formatMoney(convert(amount || 1, from, to, rates, overrides), to)}
+        </Text>
+        <Text style={styles.caption}>
+          {amount ? `${formatAmount(amount, from)} ${from} · ` : ''}
+          1 {from} = {formatAmount(rate, to)} {to}
+        </Text>
+      </Surface>
+    </TouchableOpacity>
+  );
+}
+
+export default function DashboardScreen({ navigation }) {
+  const isDark = useColorScheme() === 'dark';
+  const t = useTranslation();
+  const [rates, setRates] = useState(null);
+  const [ratesFailed, setRatesFailed] = useState(false);
+  const [previousRates, setPreviousRates] = useState(null);
+  // Street-rate overrides, or null when street mode is off — as in the converter
+  const [overrides, setOverrides] = useState(null);
+  const [pairs, setPairs] = useState([]);
+  const [refreshing, setRefreshing] = useState(false);
+  const [snackbar, setSnackbar] = useState('');
+
+  // Offline, getRates() answers from the stale cache or the fallback rates;
+  // it only rejects when the cached rates can't be read (a SQLite error or a
+  // corrupt row) — say so instead of waiting for rates that won't come
+  const loadRates = useCallback(async () => {
+    try {
+      const { rates: r } = await getRates();
+      setRates(r);
+      setRatesFailed(false);
+      setPreviousRates(getPreviousSnapshot()?.rates ?? null);
+    } catch (e) {
+      setRatesFailed(true);
+      setSnackbar(t('dashboard.loadFailed'));
+    }
+  }, [t]);
+
+  useFocusEffect(useCallback(() => {
+    setPairs(getFavoritePairs());
+    setOverrides(getSetting('street_mode') ? getRateOverrides() : null);
+    loadRates();
+  }, [loadRates]));
+
+  // Background sync may bring fresher rates while we're on screen
+  useEffect(
+    () =>
+      onRatesRefreshed(({ rates: r }) => {
+        setRates(r);
+        setRatesFailed(false);
+        setPreviousRates(getPreviousSnapshot()?.rates ?? null);
+      }),
+    []
+  );
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await loadRates();
+    setRefreshing(false);
+  };
+
+  const openConverter = (pair) =>
+    navigation.navigate('Converter', {
+      from: pair?.from_currency,
+      to: pair?.to_currency,
+      amount: pair?.default_amount ?? undefined,
+    });
+
+  const handleUnpin = (pair) => {
+    deleteFavoritePair(pair.from_currency, pair.to_currency);
+    setPairs(getFavoritePairs());
+    setSnackbar(t('dashboard.unpinned', { pair: `${pair.from_currency} → ${pair.to_currency}` }));
+  };
+
+  const shownPairs = rates ? pairs : [];
+
+  return (
+    <View style={[styles.root, isDark && styles.rootDark]}>
+      <View style={styles.header}>
+        <Text style={styles.sectionLabel}>{t('dashboard.favorites')}</Text>
+        <View style={styles.headerActions}>
+          <IconButton
+            icon="history"
+            size={22}
+            iconColor={isDark ? '#aaa' : '#555'}
+            onPress={() => navigation.navigate('History')}
+          />
+          <IconButton
+            icon="cog-outline"
+            size={22}
+            iconColor={isDark ? '#aaa' : '#555'}
+            onPress={() => navigation.navigate('Settings')}
+          />
+        </View>
+      </View>
+
+      <FlatList
+        data={shownPairs}
+        renderItem={({ item }) => (
+          <PairCard
+            pair={item}
+            rates={rates}
+            previousRates={previousRates}
+            overrides={overrides}
+            isDark={isDark}
+            onPress={() => openConverter(item)}
+            onLongPress={() => handleUnpin(item)}
+          />
+        )}
+        keyExtractor={(item) => item.id.toString()}
+        contentContainerStyle={shownPairs.length === 0 ? styles.emptyContainer : styles.list}
+        ItemSeparatorComponent={() => <View style={{ height: 10 }} />}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+        ListEmptyComponent={
+          pairs.length > 0 ? (
+            <View style={styles.emptyInner}>
+              {ratesFailed ? (
+                <>
+                  <Text style={styles.emptyText}>📡</Text>
+                  <Text style={styles.emptyTitle}>{t('dashboard.ratesUnavailable')}</Text>
+                  <Text style={styles.emptySubtitle}>{t('dashboard.pullToRetry')}</Text>
+                </>
+              ) : (
+                <ActivityIndicator size="large" />
+              )}
+            </View>
+          ) : (
+            <View style={styles.emptyInner}>
+              <Text style={styles.emptyText}>📌</Text>
+              <Text style={styles.emptyTitle}>{t('dashboard.emptyTitle')}</Text>
+              <Text style={styles.emptySubtitle}>{t('dashboard.emptySubtitle')}</Text>
+              <Button mode="contained" style={styles.emptyButton} onPress={() => openConverter(null)}>
+                {t('dashboard.openConverter')}
+              </Button>
+            </View>
+          )
+        }
+      />
+
+      {pairs.length > 0 && (
+        <FAB icon="calculator" label={t('dashboard.converter')} style={styles.fab} onPress={() => openConverter(null)} />
+      )}
+
+      <Snackbar visible={!!snackbar} onDismiss={() => setSnackbar('')} duration={2500}>
+        {snackbar}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  root: { flex: 1, backgroundColor: '#f4f4f8' },
+  rootDark: { backgroundColor: '#0f0f1a' },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingLeft: 16,
+    paddingRight: 4,
+  },
+  headerActions: { flexDirection: 'row' },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    letterSpacing: 1.5,
+    color: '#999',
+    textTransform: 'uppercase',
+  },
+  list: { padding: 12, paddingBottom: 96 },
+  emptyContainer: { flex: 1 },
+  emptyInner: { flex: 1, alignItems: 'center', justifyContent: 'center', paddingTop: 80 },
+  emptyText: { fontSize: 48, marginBottom: 12 },
+  emptyTitle: { fontSize: 18, fontWeight: '600', color: '#555' },
+  emptySubtitle: { fontSize: 14, color: '#999', marginTop: 4 },
+  emptyButton: { marginTop: 20 },
+
+  card: { borderRadius: 16, padding: 16, backgroundColor: '#fff' },
+  cardDark: { backgroundColor: '#1a1a2e' },
+  cardTop: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+  pair: { fontSize: 15, fontWeight: '700', color: '#555' },
+  change: { fontSize: 13, fontWeight: '700' },
+  value: { fontSize: 28, fontWeight: 'bold', color: '#E8352B', marginTop: 8 },
+  caption: { fontSize: 12, color: '#999', marginTop: 4 },
+
+  fab: { position: 'absolute', right: 16, bottom: 24 },
+});
@@ -0,0 +1,239 @@
+/**
+ * FEE PROFILES SCREEN
+ *
+ * What each way of sending money really costs (MVola, Orange Money,
+ * Airtel Money, a bank transfer…):
+ * - Fixed fee + percentage fee, optionally clamped to a minimum / maximum
+ * - Fixed / min / max are in the profile's currency
+ * - Tap a profile to edit it; pick one in the converter to see gross / fees / net
+ */
+
+import React, { useState, useCallback } from 'react';
+import { View, FlatList, ScrollView, StyleSheet, useColorScheme } from 'react-native';
+import { Text, Surface, IconButton, Chip, TextInput, Button, HelperText, Divider } from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  getEnabledCurrencies,
+  getCurrencyInfo,
+  getFeeProfiles,
+  saveFeeProfile,
+  deleteFeeProfile,
+  getSetting,
+  setSetting,
+  parseAmountInput,
+  formatAmount,
+  formatMoney,
+} from '../ratesService';
+import { useTranslation } from '../i18n';
+
+const EMPTY_FORM = { id: null, name: '', currency: 'MGA', fixed: '', percent: '', min: '', max: '' };
+
+// Optional fields stay null when left empty
+const toNumber = (text) => (text === '' ? null : parseFloat(text));
+
+const describeFeeProfile = (profile, t) => {
+  const parts = [
+    t('feeProfiles.summary', {
+      fixed: formatMoney(profile.fixed_fee, profile.currency),
+      percent: formatAmount(profile.percent_fee, null),
+    }),
+  ];
+  if (profile.min_fee != null) parts.push(t('feeProfiles.min', { value: formatMoney(profile.min_fee, profile.currency) }));
+  if (profile.max_fee != null) parts.push(t('feeProfiles.max', { value: formatMoney(profile.max_fee, profile.currency) }));
+  return parts.join(' · ');
+};
+
+export default function FeeProfilesScreen() {
+  const isDark = useColorScheme() === 'dark';
+  const t = useTranslation();
+  const [profiles, setProfiles] = useState([]);
+  const [currencies, setCurrencies] = useState(getEnabledCurrencies);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+
+  const load = useCallback(() => {
+    setProfiles(getFeeProfiles());
+    setCurrencies(getEnabledCurrencies());
+  }, []);
+
+  useFocusEffect(useCallback(() => { load(); }, [load]));
+
+  // Amount fields keep the raw value ("." decimals) and show it grouped
+  const setField = (field) => (text) => setForm((prev) => ({ ...prev, [field]: text }));
+  const setAmountField = (field) => (text) =>
+    setForm((prev) => ({ ...prev, [field]: parseAmountInput(text).raw }));
+  const shown = (raw) => parseAmountInput(raw).formatted;
+
+  const handleEdit = (profile) => {
+    setError('');
+    setForm({
+      id: profile.id,
+      name: profile.name,
+      currency: profile.currency,
+      fixed: String(profile.fixed_fee),
+      percent: String(profile.percent_fee),
+      min: profile.min_fee == null ? '' : String(profile.min_fee),
+      max: profile.max_fee == null ? '' : String(profile.max_fee),
+    });
+  };
+
+  const handleSave = () => {
+    try {
+      saveFeeProfile({
+        id: form.id,
+        name: form.name,
+        currency: form.currency,
+        fixedFee: toNumber(form.fixed) ?? 0,
+        percentFee: toNumber(form.percent) ?? 0,
+        minFee: toNumber(form.min),
+        maxFee: toNumber(form.max),
+      });
+    } catch (e) {
+      setError(e.code ? t(`feeProfiles.errors.${e.code}`) : e.message);
+      return;
+    }
+    setError('');
+    setForm(EMPTY_FORM);
+    load();
+  };
+
+  // Deleting the profile the converter uses switches fees off there
+  const handleDelete = (id) => {
+    deleteFeeProfile(id);
+    if (getSetting('fee_profile_id') === id) setSetting('fee_profile_id', null);
+    if (form.id === id) setForm(EMPTY_FORM);
+    load();
+  };
+
+  const renderItem = ({ item }) => (
+    <Surface style={[styles.row, isDark && styles.rowDark]} elevation={1}>
+      <View style={styles.rowText}>
+        <Text style={styles.profileName} onPress={() => handleEdit(item)}>{item.name}</Text>
+        <Text style={styles.profileMeta}>{describeFeeProfile(item, t)}</Text>
+      </View>
+      <IconButton icon="pencil-outline" size={20} onPress={() => handleEdit(item)} />
+      <IconButton icon="delete-outline" size={20} iconColor="#f44336" onPress={() => handleDelete(item.id)} />
+    </Surface>
+  );
+
+  return (
+    <View style={[styles.root, isDark && styles.rootDark]}>
+      <ScrollView style={styles.formScroll} keyboardShouldPersistTaps="handled">
+        <Surface style={[styles.card, isDark && styles.cardDark]} elevation={2}>
+          <Text style={styles.sectionLabel}>
+            {form.id ? t('feeProfiles.edit') : t('feeProfiles.new')}
+          </Text>
+          <TextInput
+            label={t('feeProfiles.name')}
+            value={form.name}
+            onChangeText={setField('name')}
+            style={styles.input}
+          />
+          <Text style={styles.label}>{t('feeProfiles.currency')}</Text>
+          <View style={styles.chipRow}>
+            {currencies.map((c) => (
+              <Chip
+                key={c}
+                compact
+                selected={form.currency === c}
+                showSelectedOverlay
+                onPress={() => setForm((prev) => ({ ...prev, currency: c }))}
+              >
+                {getCurrencyInfo(c).flag} {c}
+              </Chip>
+            ))}
+          </View>
+          <View style={styles.inputRow}>
+            <TextInput
+              label={t('feeProfiles.fixed')}
+              value={shown(form.fixed)}
+              onChangeText={setAmountField('fixed')}
+              keyboardType="decimal-pad"
+              style={[styles.input, styles.half]}
+            />
+            <TextInput
+              label={t('feeProfiles.percent')}
+              value={shown(form.percent)}
+              onChangeText={setAmountField('percent')}
+              keyboardType="decimal-pad"
+              style={[styles.input, styles.half]}
+            />
+          </View>
+          <View style={styles.inputRow}>
+            <TextInput
+              label={t('feeProfiles.minLabel')}
+              value={shown(form.min)}
+              onChangeText={setAmountField('min')}
+              keyboardType="decimal-pad"
+              style={[styles.input, styles.half]}
+            />
+            <TextInput
+              label={t('feeProfiles.maxLabel')}
+              value={shown(form.max)}
+              onChangeText={setAmountField('max')}
+              keyboardType="decimal-pad"
+              style={[styles.input, styles.half]}
+            />
+          </View>
+          {!!error && <HelperText type="error">{error}</HelperText>}
+          <View style={styles.actions}>
+            {form.id != null && (
+              <Button onPress={() => setForm(EMPTY_FORM)}>{t('common.cancel')}</Button>
+            )}
+            <Button mode="contained" icon="content-save-outline" onPress={handleSave} disabled={!form.name.trim()}>
+              {form.id ? t('feeProfiles.update') : t('feeProfiles.add')}
+            </Button>
+          </View>
+        </Surface>
+      </ScrollView>
+
+      <Divider />
+
+      <FlatList
+        data={profiles}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id.toString()}
+        contentContainerStyle={styles.list}
+        ItemSeparatorComponent={() => <View style={{ height: 8 }} />}
+        ListEmptyComponent={<Text style={styles.emptyText}>{t('feeProfiles.empty')}</Text>}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  root: { flex: 1, backgroundColor: '#f4f4f8' },
+  rootDark: { backgroundColor: '#0f0f1a' },
+  formScroll: { flexGrow: 0 },
+  card: { borderRadius: 16, padding: 16, margin: 12 },
+  cardDark: { backgroundColor: '#1a1a2e' },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    letterSpacing: 1.5,
+    color: '#999',
+    marginBottom: 10,
+    textTransform: 'uppercase',
+  },
+  label: { fontSize: 13, color: '#999', marginTop: 8, marginBottom: 6 },
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 6 },
+  inputRow: { flexDirection: 'row', gap: 12 },
+  input: { marginTop: 8, backgroundColor: 'transparent' },
+  half: { flex: 1 },
+  actions: { flexDirection: 'row', justifyContent: 'flex-end', gap: 8, marginTop: 12 },
+  list: { padding: 12 },
+  emptyText: { textAlign: 'center', color: '#999', marginTop: 24 },
+
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingLeft: 14,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: '#fff',
+  },
+  rowDark: { backgroundColor: '#1a1a2e' },
+  rowText: { flex: 1, gap: 2 },
+  profileName: { fontSize: 14, fontWeight: '600' },
+  profileMeta: { fontSize: 11, color: '#aaa' },
+});
@@ -0,0 +1,327 @@
+/**
+ * HISTORY ENTRY SCREEN
+ *
+ * One saved conversion, re-run at today's rate:
+ * - What was converted, when, and at which rate (street rate flagged)
+ * - The same amount at the current rate (getRates — cache or live), and
+ *   the gain or loss against the stored result and rate
+ * - "Load into converter" opens the converter on that pair and amount
+ * - A note, tags and a star, so the entry still makes sense weeks later
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, ScrollView, StyleSheet, useColorScheme } from 'react-native';
+import {
+  Text,
+  Surface,
+  Button,
+  Divider,
+  ActivityIndicator,
+  TextInput,
+  IconButton,
+  Chip,
+  Snackbar,
+} from 'react-native-paper';
+import {
+  getHistoryEntry,
+  setHistoryNote,
+  setHistoryStarred,
+  getHistoryTags,
+  parseHistoryTags,
+  normalizeTags,
+  getRates,
+  getRateOverrides,
+  getEffectiveRate,
+  convert,
+  subtractMoney,
+  getCurrencyInfo,
+  getProviderLabel,
+  formatAmount,
+  formatMoney,
+  getFormatPrefs,
+} from '../ratesService';
+import { useTranslation } from '../i18n';
+import { formatExpressionInput } from '../calculator';
+
+// Where today's rates came from — same wording as the converter's badge
+const describeSource = ({ source, provider, ageMinutes }, t) =>
+  source === 'live' ? t('converter.live', { provider: getProviderLabel(provider) })
+    : source === 'cache' ? t('converter.cached', { minutes: ageMinutes })
+      : t('converter.fallback');
+
+function AmountLine({ label, amount, from, result, to, rate, note }) {
+  return (
+    <View style={styles.amountLine}>
+      <Text style={styles.lineLabel}>{label}</Text>
+      <Text style={styles.fromAmount}>{formatMoney(amount, from)}</Text>
+      <Text style={styles.toAmount}>{formatMoney(result, to)}</Text>
+      <Text style={styles.rate}>
+        1 {from} = {formatAmount(rate, to)} {to}
+        {note}
+      </Text>
+    </View>
+  );
+}
+
+export default function HistoryEntryScreen({ navigation, route }) {
+  const isDark = useColorScheme() === 'dark';
+  const t = useTranslation();
+  const [entry, setEntry] = useState(() => getHistoryEntry(route.params.id));
+  const [current, setCurrent] = useState(null); // getRates() result
+  const [ratesFailed, setRatesFailed] = useState(false);
+  const [note, setNote] = useState(entry?.note ?? '');
+  const [tagsText, setTagsText] = useState(() => parseHistoryTags(entry).join(', '));
+  const [knownTags] = useState(() => getHistoryTags().map((row) => row.tag));
+  const [snackbar, setSnackbar] = useState('');
+
+  // Offline, getRates() answers from the stale cache or the fallback rates —
+  // it rejects only when the cached rates can't be read; offer a retry
+  const loadRates = useCallback(async () => {
+    setRatesFailed(false);
+    try {
+      setCurrent(await getRates());
+    } catch (e) {
+      console.warn('Rates unavailable:', e);
+      setRatesFailed(true);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRates();
+  }, [loadRates]);
+
+  if (!entry) {
+    return (
+      <View style={[styles.root, styles.centered, isDark && styles.rootDark]}>
+        <Text style={styles.emptyText}>{t('historyEntry.notFound')}</Text>
+      </View>
+    );
+  }
+
+  const from = entry.from_currency;
+  const to = entry.to_currency;
+
+  // Like for like: a conversion made at a street rate is re-run at the
+  // pair's override today (if it still has one), else at the official rate.
+  // convert() gives NaN when today's rates don't list one of the currencies.
+  let now = null;
+  const overrides = current && entry.rate_overridden ? getRateOverrides() : null;
+  const result = current ? convert(entry.amount, from, to, current.rates, overrides) : NaN;
+  if (!isNaN(result)) {
+    const { rate, override } = getEffectiveRate(from, to, current.rates, overrides);
+    now = {
+      rate,
+      override,
+      result,
+      change: subtractMoney(result, entry.result, to),
+      percent: (rate / entry.rate - 1) * 100,
+    };
+  }
+
+  const { locale } = getFormatPrefs();
+  const savedAt = new Date(entry.converted_at);
+  const changeColor = !now || now.change === 0 ? '#999' : now.change > 0 ? '#4CAF50' : '#f44336';
+
+  const typedTags = normalizeTags(tagsText);
+  const suggestions = knownTags.filter((tag) => !typedTags.includes(tag));
+  const notesChanged =
+    note.trim() !== (entry.note ?? '') || typedTags.join() !== parseHistoryTags(entry).join();
+
+  const handleSaveNote = () => {
+    setHistoryNote(entry.id, note, typedTags);
+    setEntry(getHistoryEntry(entry.id));
+    setTagsText(typedTags.join(', '));
+    setSnackbar(t('historyEntry.noteSaved'));
+  };
+
+  const handleToggleStar = () => {
+    setHistoryStarred(entry.id, !entry.starred);
+    setEntry(getHistoryEntry(entry.id));
+  };
+
+  const handleLoad = () => {
+    navigation.navigate('Converter', { from, to, amount: entry.expression || entry.amount });
+  };
+
+  return (
+    <View style={[styles.root, isDark && styles.rootDark]}>
+      <ScrollView contentContainerStyle={styles.scroll} keyboardShouldPersistTaps="handled">
+        {/* ── As saved ───────────────────────────────────────────────────── */}
+        <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+          <View style={styles.headerRow}>
+            <View>
+              <Text style={styles.sectionLabel}>{t('historyEntry.saved')}</Text>
+              <Text style={styles.pair}>
+                {getCurrencyInfo(from).flag} {from} → {getCurrencyInfo(to).flag} {to}
+              </Text>
+            </View>
+            <IconButton
+              icon={entry.starred ? 'star' : 'star-outline'}
+              iconColor={entry.starred ? '#FFB300' : '#bbb'}
+              accessibilityLabel={t('historyEntry.star')}
+              onPress={handleToggleStar}
+            />
+          </View>
+          <Text style={styles.meta}>
+            {savedAt.toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' })}
+            {' · '}
+            {savedAt.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' })}
+          </Text>
+          {!!entry.label && <Text style={styles.meta}>🧺 {entry.label}</Text>}
+          {!!entry.expression && (
+            <Text style={styles.meta}>{formatExpressionInput(entry.expression).formatted} =</Text>
+          )}
+          <AmountLine
+            label={t('historyEntry.then')}
+            amount={entry.amount}
+            from={from}
+            result={entry.result}
+            to={to}
+            rate={entry.rate}
+            note={entry.rate_overridden ? t('history.streetRate') : ''}
+          />
+        </Surface>
+
+        {/* ── Note and tags ──────────────────────────────────────────────── */}
+        <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+          <Text style={styles.sectionLabel}>{t('historyEntry.notes')}</Text>
+          <TextInput
+            mode="outlined"
+            label={t('historyEntry.note')}
+            placeholder={t('historyEntry.notePlaceholder')}
+            value={note}
+            onChangeText={setNote}
+            multiline
+            style={styles.input}
+          />
+          <TextInput
+            mode="outlined"
+            label={t('historyEntry.tags')}
+            placeholder={t('historyEntry.tagsPlaceholder')}
+            value={tagsText}
+            onChangeText={setTagsText}
+            autoCapitalize="none"
+            style={styles.input}
+          />
+          {suggestions.length > 0 && (
+            <View style={styles.chipRow}>
+              {suggestions.map((tag) => (
+                <Chip
+                  key={tag}
+                  compact
+                  icon="plus"
+                  onPress={() => setTagsText([...typedTags, tag].join(', '))}
+                >
+                  #{tag}
+                </Chip>
+              ))}
+            </View>
+          )}
+          <Button
+            mode="contained-tonal"
+            icon="content-save-outline"
+            onPress={handleSaveNote}
+            disabled={!notesChanged}
+            style={styles.saveButton}
+          >
+            {t('common.save')}
+          </Button>
+        </Surface>
+
+        {/* ── At today's rate ────────────────────────────────────────────── */}
+        <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+          <Text style={styles.sectionLabel}>{t('historyEntry.today')}</Text>
+          {ratesFailed ? (
+            <>
+              <Text style={styles.emptyText}>{t('historyEntry.ratesUnavailable')}</Text>
+              <Button icon="refresh" onPress={loadRates} style={styles.retryButton}>
+                {t('historyEntry.retry')}
+              </Button>
+            </>
+          ) : !current ? (
+            <ActivityIndicator style={styles.loading} />
+          ) : !now ? (
+            <Text style={styles.emptyText}>{t('historyEntry.noRate', { from, to })}</Text>
+          ) : (
+            <>
+              <AmountLine
+                label={describeSource(current, t)}
+                amount={entry.amount}
+                from={from}
+                result={now.result}
+                to={to}
+                rate={now.rate}
+                note={now.override ? t('history.streetRate') : ''}
+              />
+              <Divider style={styles.divider} />
+              <Text style={styles.lineLabel}>{t('historyEntry.difference')}</Text>
+              <Text style={[styles.change, { color: changeColor }]}>
+                {now.change > 0 ? '+' : now.change < 0 ? '−' : ''}
+                {formatMoney(Math.abs(now.change), to)}
+                {'  '}
+                ({now.percent >= 0 ? '+' : '−'}{Math.abs(now.percent).toFixed(2)} %)
+              </Text>
+              <Text style={styles.meta}>
+                {now.change === 0
+                  ? t('historyEntry.unchanged')
+                  : t(now.change > 0 ? 'historyEntry.gain' : 'historyEntry.loss', {
+                    amount: formatMoney(entry.amount, from),
+                    to,
+                  })}
+              </Text>
+              {!!entry.rate_overridden && !now.override && (
+                <Text style={styles.meta}>{t('historyEntry.overrideGone')}</Text>
+              )}
+            </>
+          )}
+        </Surface>
+
+        <Button mode="contained" icon="calculator" onPress={handleLoad} style={styles.loadButton}>
+          {t('historyEntry.load')}
+        </Button>
+      </ScrollView>
+
+      <Snackbar visible={!!snackbar} onDismiss={() => setSnackbar('')} duration={2500}>
+        {snackbar}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  root: { flex: 1, backgroundColor: '#f4f4f8' },
+  rootDark: { backgroundColor: '#0f0f1a' },
+  centered: { alignItems: 'center', justifyContent: 'center', padding: 24 },
+  scroll: { padding: 16, paddingBottom: 32 },
+  card: { borderRadius: 16, padding: 16, marginBottom: 12 },
+  cardDark: { backgroundColor: '#1a1a2e' },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    letterSpacing: 1.5,
+    color: '#999',
+    marginBottom: 10,
+    textTransform: 'uppercase',
+  },
+  emptyText: { fontSize: 14, color: '#999', fontStyle: 'italic' },
+  loading: { marginVertical: 16 },
+  retryButton: { alignSelf: 'flex-start', marginTop: 8 },
+
+  headerRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'flex-start' },
+  pair: { fontSize: 18, fontWeight: '700' },
+  meta: { fontSize: 12, color: '#999', marginTop: 4 },
+
+  amountLine: { marginTop: 12, gap: 2 },
+  lineLabel: { fontSize: 12, color: '#999' },
+  fromAmount: { fontSize: 14, color: '#888' },
+  toAmount: { fontSize: 24, fontWeight: '700', color: '#E8352B' },
+  rate: { fontSize: 11, color: '#bbb' },
+
+  divider: { marginVertical: 12 },
+  change: { fontSize: 20, fontWeight: '700', marginTop: 2 },
+  loadButton: { marginTop: 4 },
+
+  input: { marginBottom: 8 },
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginBottom: 8 },
+  saveButton: { alignSelf: 'flex-end' },
+});
@@ -2,15 +2,25 @@
  * HISTORY SCREEN
  *
  * New feature not in the original web app.
- * Shows the last 30 conversions with:
+ * Shows past conversions, newest first, with:
  * - Date/time
  * - From → To with flags
- * - Rate used
- * - Ability to clear history
+ * - Rate used (flagged when a street-rate override applied)
+ * - The calculation typed, when the amount was one ("250×12")
+ * - The line label, for conversions saved as part of a basket
+ * - The note and tags added in the entry's detail view
+ * - Search by amount, filter by pair, date range, tag or starred
+ * - Infinite scroll (cursor-based paging)
+ * - Swipe left to delete one entry, or clear everything
+ * - Star entries to keep them regardless of the retention policy
+ * - Tap an entry to re-run it at today's rate (HistoryEntryScreen)
+ * - Retention policy picker (by count, by age, or unlimited)
+ * - Export to CSV / JSON (respects the active filters) via the share sheet
  */
 
-import React, { useState, useCallback } from 'react';
-import { View, FlatList, StyleSheet, useColorScheme } from 'react-native';
+import React, { useState, useCallback, useMemo, useRef } from 'react';
+import { View, FlatList, ScrollView, TouchableOpacity, StyleSheet, useColorScheme } from 'react-native';
+import Swipeable from 'react-native-gesture-handler/Swipeable';
 import {
   Text,
   Surface,
@@ -20,63 +30,223 @@ import {
   Portal,
   Button,
   Chip,
+  Searchbar,
+  RadioButton,
+  Snackbar,
 } from 'react-native-paper';
 import { useFocusEffect } from '@react-navigation/native';
-import { getHistory, clearHistory, CURRENCY_INFO, formatAmount } from '../ratesService';
+import {
+  queryHistory,
+  getAllHistory,
+  countHistory,
+  getHistoryPairs,
+  getHistoryTags,
+  parseHistoryTags,
+  deleteHistoryEntry,
+  setHistoryStarred,
+  getRetentionPolicy,
+  setRetentionPolicy,
+  clearHistory,
+  getCurrencyInfo,
+  formatAmount,
+  getFormatPrefs,
+} from '../ratesService';
+import { serializeHistory, shareTextFile, fileDateStamp } from '../exportService';
+import { useTranslation } from '../i18n';
+import { formatExpressionInput } from '../calculator';
+
+const PAGE_SIZE = 30;
+
+// Labels are keys under history.ranges in the catalogues
+const DATE_RANGES = [
+  { key: 'all', days: null },
+  { key: 'today', days: 1 },
+  { key: 'week', days: 7 },
+  { key: 'month', days: 30 },
+];
+
+// Retention presets offered in the picker (see RETENTION_MODES in ratesService)
+const RETENTION_PRESETS = [
+  { mode: 'count', value: 100, labelKey: 'count' },
+  { mode: 'count', value: 1000, labelKey: 'count' },
+  { mode: 'age', value: 30, labelKey: 'age' },
+  { mode: 'age', value: 90, labelKey: 'age' },
+  { mode: 'age', value: 365, labelKey: 'year' },
+  { mode: 'unlimited', value: null, labelKey: 'unlimited' },
+];
+
+const presetKey = (p) => `${p.mode}:${p.value}`;
+
+const describeRetention = ({ mode, value }, t) =>
+  mode === 'count' ? t('history.retention.keepingCount', { value })
+    : mode === 'age' ? t('history.retention.keepingAge', { value })
+      : t('history.retention.keepingAll');
 
-export default function HistoryScreen() {
+export default function HistoryScreen({ navigation }) {
+  const t = useTranslation();
   const [history, setHistory] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [pairs, setPairs] = useState([]);
+  const [tags, setTags] = useState([]);
   const [confirmVisible, setConfirmVisible] = useState(false);
+  const [retention, setRetention] = useState(getRetentionPolicy);
+  const [retentionVisible, setRetentionVisible] = useState(false);
+  const [exportVisible, setExportVisible] = useState(false);
+  const [snackbar, setSnackbar] = useState('');
   const isDark = useColorScheme() === 'dark';
 
+  // Filters
+  const [search, setSearch] = useState('');
+  const [pair, setPair] = useState(null); // { from, to } or null
+  const [sinceDays, setSinceDays] = useState(null);
+  const [tag, setTag] = useState(null);
+  const [starredOnly, setStarredOnly] = useState(false);
+  const filters = useMemo(
+    () => ({ search, from: pair?.from, to: pair?.to, sinceDays, tag, starred: starredOnly }),
+    [search, pair, sinceDays, tag, starredOnly]
+  );
+
+  // Cursor of the next page; null once the last page is loaded
+  const nextCursor = useRef(null);
+
   const load = useCallback(() => {
-    setHistory(getHistory(30));
-  }, []);
+    const page = queryHistory(filters, null, PAGE_SIZE);
+    nextCursor.current = page.nextCursor;
+    setHistory(page.rows);
+    setTotal(countHistory(filters));
+    setPairs(getHistoryPairs());
+    setTags(getHistoryTags());
+  }, [filters]);
+
+  const loadMore = () => {
+    if (!nextCursor.current) return;
+    const page = queryHistory(filters, nextCursor.current, PAGE_SIZE);
+    nextCursor.current = page.nextCursor;
+    setHistory((prev) => [...prev, ...page.rows]);
+  };
 
   useFocusEffect(useCallback(() => { load(); }, [load]));
 
   const handleClear = () => {
     clearHistory();
+    nextCursor.current = null;
     setHistory([]);
+    setTotal(0);
+    setPairs([]);
+    setTags([]);
+    setTag(null);
     setConfirmVisible(false);
   };
 
+  const handleDelete = (id) => {
+    deleteHistoryEntry(id);
+    setHistory((prev) => prev.filter((row) => row.id !== id));
+    setTotal((prev) => prev - 1);
+  };
+
+  const handleToggleStar = (item) => {
+    setHistoryStarred(item.id, !item.starred);
+    setHistory((prev) =>
+      prev.map((row) => (row.id === item.id ? { ...row, starred: item.starred ? 0 : 1 } : row))
+    );
+  };
+
+  // Applied from the next launch — pruning only runs at startup
+  const handleRetentionChange = (key) => {
+    const preset = RETENTION_PRESETS.find((p) => presetKey(p) === key);
+    const policy = { mode: preset.mode, value: preset.value };
+    setRetentionPolicy(policy);
+    setRetention(policy);
+    setRetentionVisible(false);
+  };
+
+  const handleExport = async (format) => {
+    setExportVisible(false);
+    try {
+      const rows = getAllHistory(filters);
+      await shareTextFile(`manakalo-history-${fileDateStamp()}`, serializeHistory(rows, format), format);
+    } catch (e) {
+      setSnackbar(t('history.exportFailed', { message: e.message }));
+    }
+  };
+
+  const hasFilters = !!(search || pair || sinceDays || tag || starredOnly);
+  const isPairSelected = (p) => pair?.from === p.from && pair?.to === p.to;
+  // Keep the active tag's chip even once no entry carries it any more
+  const tagChips = tag && !tags.some((row) => row.tag === tag) ? [{ tag }, ...tags] : tags;
+
   const formatDate = (iso) => {
     const d = new Date(iso);
-    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+    const { locale } = getFormatPrefs();
+    return d.toLocaleDateString(locale, { month: 'short', day: 'numeric' })
       + ' · '
-      + d.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+      + d.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
   };
 
   const renderItem = ({ item }) => {
-    const fromInfo = CURRENCY_INFO[item.from_currency];
-    const toInfo   = CURRENCY_INFO[item.to_currency];
+    const fromInfo = getCurrencyInfo(item.from_currency);
+    const toInfo   = getCurrencyInfo(item.to_currency);
+    const itemTags = parseHistoryTags(item);
 
     return (
-      <Surface style={[styles.row, isDark && styles.rowDark]} elevation={1}>
-        {/* Left: flags + currencies */}
-        <View style={styles.left}>
-          <View style={styles.pairRow}>
-            <Text style={styles.flag}>{fromInfo.flag}</Text>
-            <Text style={styles.arrow}> → </Text>
-            <Text style={styles.flag}>{toInfo.flag}</Text>
+      <Swipeable
+        renderRightActions={() => (
+          <View style={styles.deleteAction}>
+            <IconButton icon="delete-outline" iconColor="#fff" size={24} />
           </View>
-          <Text style={styles.date}>{formatDate(item.converted_at)}</Text>
-        </View>
+        )}
+        onSwipeableOpen={() => handleDelete(item.id)}
+      >
+        <TouchableOpacity
+          activeOpacity={0.7}
+          onPress={() => navigation.navigate('HistoryEntry', { id: item.id })}
+        >
+          <Surface style={[styles.row, isDark && styles.rowDark]} elevation={1}>
+            {/* Left: flags + currencies */}
+            <View style={styles.left}>
+              <View style={styles.pairRow}>
+                <Text style={styles.flag}>{fromInfo.flag}</Text>
+                <Text style={styles.arrow}> → </Text>
+                <Text style={styles.flag}>{toInfo.flag}</Text>
+                <IconButton
+                  icon={item.starred ? 'star' : 'star-outline'}
+                  iconColor={item.starred ? '#FFB300' : '#bbb'}
+                  size={18}
+                  style={styles.star}
+                  onPress={() => handleToggleStar(item)}
+                />
+              </View>
+              <Text style={styles.date}>{formatDate(item.converted_at)}</Text>
+              {!!item.label && <Text style={styles.label}>🧺 {item.label}</Text>}
+              {!!item.note && (
+                <Text style={styles.note} numberOfLines={2}>
+                  {item.note}
+                </Text>
+              )}
+              {itemTags.length > 0 && (
+                <Text style={styles.tags}>{itemTags.map((name) => `#${name}`).join(' ')}</Text>
+              )}
+            </View>
 
-        {/* Right: amounts */}
-        <View style={styles.right}>
-          <Text style={styles.fromAmount}>
-            {formatAmount(item.amount, item.from_currency)} {item.from_currency}
-          </Text>
-          <Text style={styles.toAmount}>
-            {formatAmount(item.result, item.to_currency, item.to_currency === 'MGA')} {item.to_currency}
-          </Text>
-          <Text style={styles.rate}>
-            1 {item.from_currency} = {formatAmount(item.rate, item.to_currency)} {item.to_currency}
-          </Text>
-        </View>
-      </Surface>
+            {/* Right: amounts */}
+            <View style={styles.right}>
+              {!!item.expression && (
+                <Text style={styles.expression}>{formatExpressionInput(item.expression).formatted} =</Text>
+              )}
+              <Text style={styles.fromAmount}>
+                {formatAmount(item.amount, item.from_currency)} {item.from_currency}
+              </Text>
+              <Text style={styles.toAmount}>
+                {formatAmount(item.result, item.to_currency)} {item.to_currency}
+              </Text>
+              <Text style={styles.rate}>
+                1 {item.from_currency} = {formatAmount(item.rate, item.to_currency)} {item.to_currency}
+                {item.rate_overridden ? t('history.streetRate') : ''}
+              </Text>
+            </View>
+          </Surface>
+        </TouchableOpacity>
+      </Swipeable>
     );
   };
 
@@ -85,15 +255,96 @@ export default function HistoryScreen() {
       {/* Header row */}
       <View style={styles.header}>
         <Chip icon="swap-horizontal" textStyle={{ fontSize: 12 }}>
-          {history.length} conversion{history.length !== 1 ? 's' : ''}
+          {t('history.count', { count: total })}
         </Chip>
-        {history.length > 0 && (
-          <IconButton
-            icon="delete-outline"
-            size={22}
-            iconColor="#f44336"
-            onPress={() => setConfirmVisible(true)}
-          />
+        <View style={styles.headerActions}>
+          <Chip
+            icon="timer-sand"
+            compact
+            textStyle={{ fontSize: 11 }}
+            onPress={() => setRetentionVisible(true)}
+          >
+            {describeRetention(retention, t)}
+          </Chip>
+          {history.length > 0 && (
+            <IconButton
+              icon="export-variant"
+              size={22}
+              iconColor={isDark ? '#aaa' : '#555'}
+              onPress={() => setExportVisible(true)}
+            />
+          )}
+          {history.length > 0 && (
+            <IconButton
+              icon="delete-outline"
+              size={22}
+              iconColor="#f44336"
+              onPress={() => setConfirmVisible(true)}
+            />
+          )}
+        </View>
+      </View>
+
+      {/* Filters */}
+      <View style={styles.filters}>
+        <Searchbar
+          placeholder={t('history.search')}
+          value={search}
+          onChangeText={setSearch}
+          keyboardType="decimal-pad"
+          style={styles.search}
+        />
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+          {DATE_RANGES.map((r) => (
+            <Chip
+              key={r.key}
+              selected={sinceDays === r.days}
+              showSelectedOverlay
+              onPress={() => setSinceDays(r.days)}
+              compact
+            >
+              {t(`history.ranges.${r.key}`)}
+            </Chip>
+          ))}
+        </ScrollView>
+        {(history.length > 0 || hasFilters) && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+            <Chip
+              icon={starredOnly ? 'star' : 'star-outline'}
+              selected={starredOnly}
+              showSelectedOverlay
+              onPress={() => setStarredOnly(!starredOnly)}
+              compact
+            >
+              {t('history.starred')}
+            </Chip>
+            {tagChips.map(({ tag: name }) => (
+              <Chip
+                key={name}
+                selected={tag === name}
+                showSelectedOverlay
+                onPress={() => setTag(tag === name ? null : name)}
+                compact
+              >
+                #{name}
+              </Chip>
+            ))}
+          </ScrollView>
+        )}
+        {pairs.length > 1 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+            {pairs.map((p) => (
+              <Chip
+                key={`${p.from}/${p.to}`}
+                selected={isPairSelected(p)}
+                showSelectedOverlay
+                onPress={() => setPair(isPairSelected(p) ? null : { from: p.from, to: p.to })}
+                compact
+              >
+                {p.from} → {p.to}
+              </Chip>
+            ))}
+          </ScrollView>
         )}
       </View>
 
@@ -103,12 +354,18 @@ export default function HistoryScreen() {
         data={history}
         renderItem={renderItem}
         keyExtractor={item => item.id.toString()}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
         contentContainerStyle={history.length === 0 ? styles.emptyContainer : styles.list}
         ListEmptyComponent={
           <View style={styles.emptyInner}>
             <Text style={styles.emptyText}>🔄</Text>
-            <Text style={styles.emptyTitle}>No history yet</Text>
-            <Text style={styles.emptySubtitle}>Your conversions will appear here</Text>
+            <Text style={styles.emptyTitle}>
+              {hasFilters ? t('history.noMatches') : t('history.emptyTitle')}
+            </Text>
+            <Text style={styles.emptySubtitle}>
+              {hasFilters ? t('history.noMatchesHint') : t('history.emptyHint')}
+            </Text>
           </View>
         }
         ItemSeparatorComponent={() => <View style={{ height: 8 }} />}
@@ -117,16 +374,57 @@ export default function HistoryScreen() {
       {/* Confirm clear dialog */}
       <Portal>
         <Dialog visible={confirmVisible} onDismiss={() => setConfirmVisible(false)}>
-          <Dialog.Title>Clear History</Dialog.Title>
+          <Dialog.Title>{t('history.clearTitle')}</Dialog.Title>
           <Dialog.Content>
-            <Text>This will delete all conversion history. Continue?</Text>
+            <Text>{t('history.clearBody')}</Text>
           </Dialog.Content>
           <Dialog.Actions>
-            <Button onPress={() => setConfirmVisible(false)}>Cancel</Button>
-            <Button textColor="#f44336" onPress={handleClear}>Clear</Button>
+            <Button onPress={() => setConfirmVisible(false)}>{t('common.cancel')}</Button>
+            <Button textColor="#f44336" onPress={handleClear}>{t('history.clear')}</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        {/* Export format picker */}
+        <Dialog visible={exportVisible} onDismiss={() => setExportVisible(false)}>
+          <Dialog.Title>{t('history.exportTitle')}</Dialog.Title>
+          <Dialog.Content>
+            <Text>
+              {hasFilters
+                ? t('history.exportFiltered', { count: total })
+                : t('history.exportAll', { count: total })}
+            </Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setExportVisible(false)}>{t('common.cancel')}</Button>
+            <Button onPress={() => handleExport('json')}>JSON</Button>
+            <Button onPress={() => handleExport('csv')}>CSV</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        {/* Retention policy picker */}
+        <Dialog visible={retentionVisible} onDismiss={() => setRetentionVisible(false)}>
+          <Dialog.Title>{t('history.retention.title')}</Dialog.Title>
+          <Dialog.Content>
+            <RadioButton.Group onValueChange={handleRetentionChange} value={presetKey(retention)}>
+              {RETENTION_PRESETS.map((p) => (
+                <RadioButton.Item
+                  key={presetKey(p)}
+                  label={t(`history.retention.${p.labelKey}`, { value: formatAmount(p.value, null, true) })}
+                  value={presetKey(p)}
+                />
+              ))}
+            </RadioButton.Group>
+            <Text style={styles.retentionNote}>{t('history.retention.note')}</Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setRetentionVisible(false)}>{t('common.close')}</Button>
           </Dialog.Actions>
         </Dialog>
       </Portal>
+
+      <Snackbar visible={!!snackbar} onDismiss={() => setSnackbar('')} duration={2500}>
+        {snackbar}
+      </Snackbar>
     </View>
   );
 }
@@ -141,6 +439,11 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     paddingVertical: 8,
   },
+  headerActions: { flexDirection: 'row', alignItems: 'center' },
+  retentionNote: { fontSize: 12, color: '#999', marginTop: 8 },
+  filters: { paddingHorizontal: 12, paddingBottom: 8, gap: 8 },
+  search: { height: 44 },
+  chipRow: { gap: 6 },
   list: { padding: 12 },
   emptyContainer: { flex: 1 },
   emptyInner: { flex: 1, alignItems: 'center', justifyContent: 'center', paddingTop: 80 },
@@ -157,13 +460,26 @@ const styles = StyleSheet.create({
     backgroundColor: '#fff',
   },
   rowDark: { backgroundColor: '#1a1a2e' },
+  deleteAction: {
+    justifyContent: 'center',
+    alignItems: 'flex-end',
+    paddingHorizontal: 8,
+    marginLeft: 12,
+    borderRadius: 14,
+    backgroundColor: '#f44336',
+  },
   left: { gap: 4 },
   pairRow: { flexDirection: 'row', alignItems: 'center' },
   flag: { fontSize: 22 },
   arrow: { fontSize: 14, color: '#aaa', fontWeight: 'bold' },
+  star: { margin: 0, marginLeft: 4 },
   date: { fontSize: 11, color: '#aaa', marginTop: 2 },
 
   right: { alignItems: 'flex-end', gap: 2 },
+  expression: { fontSize: 11, color: '#aaa' },
+  label: { fontSize: 12, color: '#888', marginTop: 2 },
+  note: { fontSize: 12, color: '#666', fontStyle: 'italic', maxWidth: 170 },
+  tags: { fontSize: 11, color: '#3A7BD5' },
   fromAmount: { fontSize: 13, color: '#888' },
   toAmount: { fontSize: 17, fontWeight: '700', color: '#E8352B' },
   rate: { fontSize: 10, color: '#bbb', marginTop: 2 },
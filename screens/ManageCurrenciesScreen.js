@@ -0,0 +1,166 @@
+/**
+ * MANAGE CURRENCIES SCREEN
+ *
+ * Lets the user pick which currencies the converter shows:
+ * - Enabled list, reorderable with up / down arrows
+ * - Search over every code the rate provider returns
+ * - Choice persisted in SQLite (currencies table)
+ */
+
+import React, { useState, useCallback } from 'react';
+import { View, FlatList, StyleSheet, useColorScheme } from 'react-native';
+import { Text, Surface, IconButton, Divider, Searchbar, List, Snackbar } from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  getEnabledCurrencies,
+  setEnabledCurrencies,
+  getAvailableCurrencies,
+  getCurrencyInfo,
+} from '../ratesService';
+import { useTranslation, currencyName } from '../i18n';
+
+const MIN_ENABLED = 2; // a converter needs at least a pair
+
+export default function ManageCurrenciesScreen() {
+  const isDark = useColorScheme() === 'dark';
+  const t = useTranslation();
+  const [enabled, setEnabled] = useState([]);
+  const [available, setAvailable] = useState([]);
+  const [query, setQuery] = useState('');
+  const [snackbar, setSnackbar] = useState('');
+
+  useFocusEffect(useCallback(() => {
+    setEnabled(getEnabledCurrencies());
+    setAvailable(getAvailableCurrencies());
+  }, []));
+
+  // Every change is written straight away — there is no Save button
+  const update = (codes) => {
+    setEnabled(codes);
+    setEnabledCurrencies(codes);
+  };
+
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= enabled.length) return;
+    const next = [...enabled];
+    [next[index], next[target]] = [next[target], next[index]];
+    update(next);
+  };
+
+  const remove = (code) => {
+    if (enabled.length <= MIN_ENABLED) {
+      setSnackbar(t('currencies.minEnabled', { count: MIN_ENABLED }));
+      return;
+    }
+    update(enabled.filter((c) => c !== code));
+  };
+
+  const add = (code) => {
+    update([...enabled, code]);
+    setQuery('');
+  };
+
+  const q = query.trim().toUpperCase();
+  const matches = q
+    ? available.filter(
+        (c) =>
+          !enabled.includes(c) &&
+          (c.includes(q) || currencyName(c).toUpperCase().includes(q))
+      )
+    : [];
+
+  const renderEnabled = ({ item, index }) => {
+    const info = getCurrencyInfo(item);
+    return (
+      <Surface style={[styles.row, isDark && styles.rowDark]} elevation={1}>
+        <Text style={styles.flag}>{info.flag}</Text>
+        <View style={styles.rowText}>
+          <Text style={styles.code}>{item}</Text>
+          <Text style={styles.name}>{currencyName(item)}</Text>
+        </View>
+        <IconButton icon="chevron-up" size={20} disabled={index === 0} onPress={() => move(index, -1)} />
+        <IconButton
+          icon="chevron-down"
+          size={20}
+          disabled={index === enabled.length - 1}
+          onPress={() => move(index, 1)}
+        />
+        <IconButton icon="close" size={20} iconColor="#f44336" onPress={() => remove(item)} />
+      </Surface>
+    );
+  };
+
+  return (
+    <View style={[styles.root, isDark && styles.rootDark]}>
+      <View style={styles.searchBox}>
+        <Searchbar
+          placeholder={t('currencies.search')}
+          value={query}
+          onChangeText={setQuery}
+          autoCapitalize="characters"
+        />
+        {matches.length > 0 && (
+          <Surface style={[styles.results, isDark && styles.rowDark]} elevation={2}>
+            {matches.slice(0, 8).map((c) => (
+              <List.Item
+                key={c}
+                title={`${c} · ${currencyName(c)}`}
+                left={() => <Text style={styles.resultFlag}>{getCurrencyInfo(c).flag}</Text>}
+                right={(props) => <List.Icon {...props} icon="plus" />}
+                onPress={() => add(c)}
+              />
+            ))}
+          </Surface>
+        )}
+      </View>
+
+      <Divider />
+
+      <FlatList
+        data={enabled}
+        renderItem={renderEnabled}
+        keyExtractor={(item) => item}
+        contentContainerStyle={styles.list}
+        ItemSeparatorComponent={() => <View style={{ height: 8 }} />}
+        ListHeaderComponent={
+          <Text style={styles.sectionLabel}>{t('currencies.shown')}</Text>
+        }
+      />
+
+      <Snackbar visible={!!snackbar} onDismiss={() => setSnackbar('')} duration={2500}>
+        {snackbar}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  root: { flex: 1, backgroundColor: '#f4f4f8' },
+  rootDark: { backgroundColor: '#0f0f1a' },
+  searchBox: { padding: 12 },
+  results: { marginTop: 6, borderRadius: 12, backgroundColor: '#fff' },
+  resultFlag: { fontSize: 22, alignSelf: 'center', marginLeft: 12 },
+  list: { padding: 12 },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    letterSpacing: 1.5,
+    color: '#999',
+    marginBottom: 10,
+    textTransform: 'uppercase',
+  },
+
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingLeft: 14,
+    borderRadius: 14,
+    backgroundColor: '#fff',
+  },
+  rowDark: { backgroundColor: '#1a1a2e' },
+  flag: { fontSize: 22, marginRight: 12 },
+  rowText: { flex: 1 },
+  code: { fontSize: 15, fontWeight: '700', color: '#333' },
+  name: { fontSize: 12, color: '#999' },
+});
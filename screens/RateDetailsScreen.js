@@ -0,0 +1,281 @@
+/**
+ * RATE DETAILS SCREEN
+ *
+ * Where the numbers come from, for when a figure looks off:
+ * - Each provider used and its own publish time (a stale provider)
+ * - When this phone fetched, when the cache expires, and the last error a
+ *   fetch hit (a stale device)
+ * - Force a live refresh, or invalidate the cache so the next open refetches
+ * - Every raw rate in the cache (units per 1 USD) and which provider gave it
+ * - The offline fallback: how old it is, and sharing it with a phone that has
+ *   never been online (file export / import)
+ */
+
+import React, { useState, useCallback } from 'react';
+import { View, FlatList, StyleSheet, useColorScheme } from 'react-native';
+import { Text, Surface, Button, Divider, Searchbar, Snackbar } from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  getRateDetails,
+  invalidateRatesCache,
+  getFallbackRates,
+  exportFallbackRates,
+  importFallbackRates,
+  getProviderLabel,
+  getCurrencyInfo,
+  getFormatPrefs,
+} from '../ratesService';
+import { refreshRates } from '../backgroundSync';
+import { shareTextFile, pickTextFile, fileDateStamp } from '../exportService';
+import { useTranslation, currencyName } from '../i18n';
+
+// "5 min ago" / "3 h ago" / "2 d ago" — or "in 3 h" for a time still ahead
+// (a cache that hasn't expired yet)
+const describeAge = (date, t) => {
+  const diff = Date.now() - date.getTime();
+  const suffix = diff < 0 ? 'Ahead' : 'Ago';
+  const minutes = Math.floor(Math.abs(diff) / 60000);
+  if (minutes < 60) return t(`rateDetails.minutes${suffix}`, { count: minutes });
+  if (minutes < 48 * 60) return t(`rateDetails.hours${suffix}`, { count: Math.floor(minutes / 60) });
+  return t(`rateDetails.days${suffix}`, { count: Math.floor(minutes / 1440) });
+};
+
+// Providers stamp their data in their own formats — show the raw text when
+// it isn't a date this runtime can parse
+const describeTime = (value, t) => {
+  if (!value) return t('rateDetails.never');
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return value;
+  return `${date.toLocaleString(getFormatPrefs().locale)} · ${describeAge(date, t)}`;
+};
+
+// 'bundled' / 'import', or the provider id(s) of the fetch that saved them
+const describeFallbackSource = (source, t) => {
+  if (source === 'bundled') return t('rateDetails.fallbackBundled');
+  if (source === 'import') return t('rateDetails.fallbackImported');
+  return source.split('+').map(getProviderLabel).join(' + ');
+};
+
+function DetailRow({ label, value, error }) {
+  return (
+    <View style={styles.detailRow}>
+      <Text style={styles.detailLabel}>{label}</Text>
+      <Text style={[styles.detailValue, error && styles.errorText]}>{value}</Text>
+    </View>
+  );
+}
+
+export default function RateDetailsScreen() {
+  const isDark = useColorScheme() === 'dark';
+  const t = useTranslation();
+  const [details, setDetails] = useState(getRateDetails);
+  const [fallback, setFallback] = useState(getFallbackRates);
+  const [query, setQuery] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [snackbar, setSnackbar] = useState('');
+
+  const load = useCallback(() => {
+    setDetails(getRateDetails());
+    setFallback(getFallbackRates());
+  }, []);
+
+  useFocusEffect(useCallback(() => { load(); }, [load]));
+
+  const handleRefresh = async () => {
+    setBusy(true);
+    try {
+      const result = await refreshRates({ force: true });
+      if (!result) setSnackbar(t('rateDetails.offline'));
+      else setSnackbar(result.source === 'live' ? t('rateDetails.refreshed') : t('rateDetails.refreshFailed'));
+    } catch (e) {
+      setSnackbar(t('rateDetails.refreshFailed'));
+    } finally {
+      setBusy(false);
+      load();
+    }
+  };
+
+  const handleInvalidate = () => {
+    invalidateRatesCache();
+    load();
+    setSnackbar(t('rateDetails.invalidatedToast'));
+  };
+
+  const handleShareFallback = async () => {
+    try {
+      await shareTextFile(`manakalo-fallback-${fileDateStamp()}`, JSON.stringify(exportFallbackRates()), 'json');
+    } catch (e) {
+      setSnackbar(t('rateDetails.fallbackShareFailed', { message: e.message }));
+    }
+  };
+
+  const handleImportFallback = async () => {
+    try {
+      const file = await pickTextFile();
+      if (!file) return;
+      const imported = importFallbackRates(JSON.parse(file.content));
+      load();
+      setSnackbar(t('rateDetails.fallbackImportedToast', {
+        date: new Date(imported.asOf).toLocaleDateString(getFormatPrefs().locale),
+      }));
+    } catch (e) {
+      const message = e instanceof SyntaxError ? t('backup.invalidJson')
+        : e.code ? t(`rateDetails.fallbackErrors.${e.code}`)
+          : e.message;
+      setSnackbar(t('rateDetails.fallbackImportFailed', { message }));
+    }
+  };
+
+  const { cache } = details;
+  const expired = cache && new Date(cache.expiresAt).getTime() <= Date.now();
+  const cacheState = !cache
+    ? t('rateDetails.noCache')
+    : cache.invalidated
+      ? t('rateDetails.invalidated')
+      : expired
+        ? t('rateDetails.expiredAt', { date: describeTime(cache.expiresAt, t) })
+        : t('rateDetails.freshUntil', { date: describeTime(cache.expiresAt, t) });
+
+  const needle = query.trim().toUpperCase();
+  const codes = Object.keys(cache?.rates ?? {})
+    .sort()
+    .filter((code) => !needle || code.includes(needle) || currencyName(code).toUpperCase().includes(needle));
+
+  const header = (
+    <>
+      {/* ── Provider side ──────────────────────────────────────────────── */}
+      <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+        <Text style={styles.sectionLabel}>{t('rateDetails.providers')}</Text>
+        {!cache?.provider && <Text style={styles.emptyText}>{t('rateDetails.noProvider')}</Text>}
+        {(cache?.provider ? cache.provider.split('+') : []).map((id) => (
+          <DetailRow
+            key={id}
+            label={getProviderLabel(id)}
+            value={
+              cache.published[id]
+                ? t('rateDetails.published', { date: describeTime(cache.published[id], t) })
+                : t('rateDetails.noTimestamp')
+            }
+          />
+        ))}
+      </Surface>
+
+      {/* ── Device side ────────────────────────────────────────────────── */}
+      <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+        <Text style={styles.sectionLabel}>{t('rateDetails.device')}</Text>
+        <DetailRow label={t('rateDetails.fetchedAt')} value={describeTime(cache?.fetchedAt, t)} />
+        <DetailRow label={t('rateDetails.cache')} value={cacheState} />
+        <DetailRow label={t('rateDetails.lastAttempt')} value={describeTime(details.lastAttemptAt, t)} />
+        <DetailRow
+          label={t('rateDetails.lastError')}
+          value={
+            details.lastError
+              ? `${details.lastError}\n${describeTime(details.lastErrorAt, t)}`
+              : t('rateDetails.noError')
+          }
+          error={!!details.lastError}
+        />
+        <View style={styles.actions}>
+          <Button icon="timer-off-outline" onPress={handleInvalidate} disabled={!cache || cache.invalidated}>
+            {t('rateDetails.invalidate')}
+          </Button>
+          <Button mode="contained" icon="refresh" onPress={handleRefresh} loading={busy} disabled={busy}>
+            {t('rateDetails.refresh')}
+          </Button>
+        </View>
+      </Surface>
+
+      {/* ── Offline fallback ───────────────────────────────────────────── */}
+      <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+        <Text style={styles.sectionLabel}>{t('rateDetails.fallback')}</Text>
+        <DetailRow label={t('rateDetails.fallbackAsOf')} value={describeTime(fallback.asOf, t)} />
+        <DetailRow label={t('rateDetails.fallbackSource')} value={describeFallbackSource(fallback.source, t)} />
+        <Text style={styles.hint}>{t('rateDetails.fallbackHint')}</Text>
+        <View style={styles.actions}>
+          <Button icon="file-import-outline" onPress={handleImportFallback}>
+            {t('rateDetails.importFallback')}
+          </Button>
+          <Button icon="share-variant" onPress={handleShareFallback}>
+            {t('rateDetails.shareFallback')}
+          </Button>
+        </View>
+      </Surface>
+
+      <Text style={[styles.sectionLabel, styles.listLabel]}>{t('rateDetails.rawRates')}</Text>
+      <Searchbar
+        placeholder={t('rateDetails.search')}
+        value={query}
+        onChangeText={setQuery}
+        autoCapitalize="characters"
+        style={styles.search}
+      />
+    </>
+  );
+
+  const renderItem = ({ item: code }) => (
+    <View style={styles.rateRow}>
+      <Text style={styles.rateFlag}>{getCurrencyInfo(code).flag}</Text>
+      <View style={styles.rateText}>
+        <Text style={styles.rateCode}>{code}</Text>
+        <Text style={styles.rateMeta}>
+          {currencyName(code)}
+          {cache.sources[code] ? ` · ${getProviderLabel(cache.sources[code])}` : ''}
+        </Text>
+      </View>
+      {/* Exactly as stored — no rounding or grouping */}
+      <Text style={styles.rateValue}>{String(cache.rates[code])}</Text>
+    </View>
+  );
+
+  return (
+    <View style={[styles.root, isDark && styles.rootDark]}>
+      <FlatList
+        data={codes}
+        renderItem={renderItem}
+        keyExtractor={(code) => code}
+        ListHeaderComponent={header}
+        ItemSeparatorComponent={Divider}
+        ListEmptyComponent={<Text style={styles.emptyText}>{t('rateDetails.noRates')}</Text>}
+        contentContainerStyle={styles.list}
+        keyboardShouldPersistTaps="handled"
+      />
+
+      <Snackbar visible={!!snackbar} onDismiss={() => setSnackbar('')} duration={2500}>
+        {snackbar}
+      </Snackbar>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  root: { flex: 1, backgroundColor: '#f4f4f8' },
+  rootDark: { backgroundColor: '#0f0f1a' },
+  list: { padding: 16, paddingBottom: 32 },
+  card: { borderRadius: 16, padding: 16, marginBottom: 12 },
+  cardDark: { backgroundColor: '#1a1a2e' },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    letterSpacing: 1.5,
+    color: '#999',
+    marginBottom: 10,
+    textTransform: 'uppercase',
+  },
+  listLabel: { marginTop: 8, marginLeft: 4 },
+  emptyText: { fontSize: 14, color: '#999', fontStyle: 'italic' },
+  errorText: { color: '#f44336' },
+  hint: { fontSize: 12, color: '#999', marginTop: 6 },
+
+  detailRow: { paddingVertical: 6 },
+  detailLabel: { fontSize: 12, color: '#999' },
+  detailValue: { fontSize: 14, marginTop: 2 },
+  actions: { flexDirection: 'row', justifyContent: 'flex-end', gap: 8, marginTop: 12 },
+
+  search: { marginBottom: 8 },
+  rateRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 8, paddingHorizontal: 4, gap: 10 },
+  rateFlag: { fontSize: 22 },
+  rateText: { flex: 1 },
+  rateCode: { fontSize: 14, fontWeight: '700' },
+  rateMeta: { fontSize: 11, color: '#aaa' },
+  rateValue: { fontSize: 14, fontVariant: ['tabular-nums'] },
+});
@@ -0,0 +1,227 @@
+/**
+ * SETTINGS SCREEN
+ *
+ * Preferences stored in the app_settings table:
+ * - Language: Malagasy / French / English, or follow the phone
+ * - Converter: rounding, default amount (the pair is remembered automatically)
+ * - Number format: locale for separators and dates, currency symbol side
+ * - Rates: how long cached rates stay fresh before refetching, and a link
+ *   to Rate Details
+ * - Links to the other data screens (currencies, alerts, fee profiles, backup)
+ */
+
+import React, { useState, useCallback } from 'react';
+import { ScrollView, StyleSheet, useColorScheme } from 'react-native';
+import {
+  Text,
+  Surface,
+  Switch,
+  TextInput,
+  SegmentedButtons,
+  RadioButton,
+  List,
+  Divider,
+} from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  getSetting,
+  setSetting,
+  parseAmountInput,
+  formatMoney,
+  CACHE_DURATION_OPTIONS_HOURS,
+  NUMBER_LOCALES,
+} from '../ratesService';
+import { useTranslation, getLanguage, setLanguage, LANGUAGES } from '../i18n';
+
+// Shown next to each locale so the separators are visible before choosing
+const sampleNumber = (locale) =>
+  new Intl.NumberFormat(locale, { minimumFractionDigits: 2 }).format(1234.56);
+
+export default function SettingsScreen({ navigation }) {
+  const isDark = useColorScheme() === 'dark';
+  const t = useTranslation();
+  const [language, setLanguageChoice] = useState(null);
+  const [rounded, setRounded] = useState(false);
+  const [defaultAmount, setDefaultAmount] = useState('');
+  const [cacheHours, setCacheHours] = useState(6);
+  const [numberLocale, setNumberLocale] = useState('en-US');
+  const [symbolPosition, setSymbolPosition] = useState('before');
+
+  useFocusEffect(useCallback(() => {
+    setLanguageChoice(getSetting('language'));
+    setRounded(getSetting('rounded'));
+    setDefaultAmount(parseAmountInput(String(getSetting('default_amount') ?? '')).formatted);
+    setCacheHours(getSetting('cache_duration_hours'));
+    setNumberLocale(getSetting('number_locale'));
+    setSymbolPosition(getSetting('symbol_position'));
+  }, []));
+
+  // 'device' stands in for null — RadioButton values must be strings
+  const handleLanguage = (value) => {
+    const code = value === 'device' ? null : value;
+    setLanguageChoice(code);
+    setLanguage(code);
+  };
+
+  const handleRounded = (value) => {
+    setRounded(value);
+    setSetting('rounded', value);
+  };
+
+  // Empty or invalid input clears the default
+  const handleDefaultAmount = (text) => {
+    const { raw, formatted } = parseAmountInput(text);
+    setDefaultAmount(formatted);
+    const value = parseFloat(raw);
+    setSetting('default_amount', value > 0 ? value : null);
+  };
+
+  // Re-group the default amount with the new separators
+  const handleNumberLocale = (locale) => {
+    setNumberLocale(locale);
+    setSetting('number_locale', locale);
+    setDefaultAmount(parseAmountInput(String(getSetting('default_amount') ?? '')).formatted);
+  };
+
+  const handleSymbolPosition = (position) => {
+    setSymbolPosition(position);
+    setSetting('symbol_position', position);
+  };
+
+  const handleCacheHours = (value) => {
+    const hours = Number(value);
+    setCacheHours(hours);
+    setSetting('cache_duration_hours', hours);
+  };
+
+  return (
+    <ScrollView
+      style={[styles.root, isDark && styles.rootDark]}
+      contentContainerStyle={styles.scroll}
+      keyboardShouldPersistTaps="handled"
+    >
+      <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+        <Text style={styles.sectionLabel}>{t('settings.language')}</Text>
+        <RadioButton.Group value={language ?? 'device'} onValueChange={handleLanguage}>
+          <RadioButton.Item
+            value="device"
+            label={`${t('settings.deviceLanguage')} · ${LANGUAGES.find((l) => l.code === getLanguage())?.label}`}
+            style={styles.radio}
+          />
+          {LANGUAGES.map(({ code, label }) => (
+            <RadioButton.Item key={code} value={code} label={label} style={styles.radio} />
+          ))}
+        </RadioButton.Group>
+      </Surface>
+
+      <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+        <Text style={styles.sectionLabel}>{t('settings.converter')}</Text>
+        <List.Item
+          title={t('settings.rounded')}
+          description={t('settings.roundedHint')}
+          right={() => <Switch value={rounded} onValueChange={handleRounded} />}
+        />
+        <TextInput
+          label={t('settings.defaultAmount')}
+          placeholder={t('settings.none')}
+          value={defaultAmount}
+          onChangeText={handleDefaultAmount}
+          keyboardType="decimal-pad"
+          style={styles.input}
+        />
+        <Text style={styles.hint}>{t('settings.defaultAmountHint')}</Text>
+      </Surface>
+
+      <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+        <Text style={styles.sectionLabel}>{t('settings.numberFormat')}</Text>
+        <RadioButton.Group value={numberLocale} onValueChange={handleNumberLocale}>
+          {NUMBER_LOCALES.map(({ locale, label }) => (
+            <RadioButton.Item
+              key={locale}
+              value={locale}
+              label={`${label} · ${sampleNumber(locale)}`}
+              style={styles.radio}
+            />
+          ))}
+        </RadioButton.Group>
+        <Text style={[styles.label, styles.spaced]}>{t('settings.symbol')}</Text>
+        <SegmentedButtons
+          value={symbolPosition}
+          onValueChange={handleSymbolPosition}
+          buttons={[
+            { value: 'before', label: t('settings.before') },
+            { value: 'after', label: t('settings.after') },
+          ]}
+        />
+        <Text style={styles.hint}>{t('settings.example', { value: formatMoney(1234.56, 'EUR') })}</Text>
+      </Surface>
+
+      <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+        <Text style={styles.sectionLabel}>{t('settings.rates')}</Text>
+        <Text style={styles.label}>{t('settings.cacheDuration')}</Text>
+        <SegmentedButtons
+          value={String(cacheHours)}
+          onValueChange={handleCacheHours}
+          buttons={CACHE_DURATION_OPTIONS_HOURS.map((h) => ({ value: String(h), label: t('settings.hours', { hours: h }) }))}
+        />
+        <Text style={styles.hint}>{t('settings.cacheHint')}</Text>
+        <List.Item
+          title={t('nav.rateDetails')}
+          description={t('settings.rateDetailsHint')}
+          left={(props) => <List.Icon {...props} icon="information-outline" />}
+          onPress={() => navigation.navigate('RateDetails')}
+          style={styles.link}
+        />
+      </Surface>
+
+      <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+        <Text style={styles.sectionLabel}>{t('settings.data')}</Text>
+        <List.Item
+          title={t('nav.manageCurrencies')}
+          left={(props) => <List.Icon {...props} icon="cash-multiple" />}
+          onPress={() => navigation.navigate('ManageCurrencies')}
+        />
+        <Divider />
+        <List.Item
+          title={t('nav.alerts')}
+          left={(props) => <List.Icon {...props} icon="bell-outline" />}
+          onPress={() => navigation.navigate('Alerts')}
+        />
+        <Divider />
+        <List.Item
+          title={t('nav.feeProfiles')}
+          left={(props) => <List.Icon {...props} icon="cash-minus" />}
+          onPress={() => navigation.navigate('FeeProfiles')}
+        />
+        <Divider />
+        <List.Item
+          title={t('nav.backup')}
+          left={(props) => <List.Icon {...props} icon="database-sync-outline" />}
+          onPress={() => navigation.navigate('Backup')}
+        />
+      </Surface>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  root: { flex: 1, backgroundColor: '#f4f4f8' },
+  rootDark: { backgroundColor: '#0f0f1a' },
+  scroll: { padding: 16, paddingBottom: 32 },
+  card: { borderRadius: 16, padding: 16, marginBottom: 12 },
+  cardDark: { backgroundColor: '#1a1a2e' },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    letterSpacing: 1.5,
+    color: '#999',
+    marginBottom: 10,
+    textTransform: 'uppercase',
+  },
+  label: { fontSize: 14, marginBottom: 8 },
+  spaced: { marginTop: 12 },
+  radio: { paddingHorizontal: 0 },
+  input: { backgroundColor: 'transparent', marginTop: 4 },
+  hint: { fontSize: 12, color: '#999', marginTop: 8 },
+  link: { paddingHorizontal: 0, marginTop: 4 },
+});
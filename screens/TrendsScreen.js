@@ -0,0 +1,184 @@
+/**
+ * TRENDS SCREEN
+ *
+ * Charts how a currency pair moved over the last 7, 30 or 90 days,
+ * built from the rate snapshots saved on every live fetch.
+ * - Pair selector (from / to)
+ * - Period selector
+ * - Daily bar chart + first / last / min / max / change summary
+ */
+
+import React, { useState, useCallback } from 'react';
+import { View, ScrollView, StyleSheet, useColorScheme } from 'react-native';
+import { Text, Surface, Chip, SegmentedButtons } from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import { getEnabledCurrencies, getCurrencyInfo, getPairTrend, formatAmount } from '../ratesService';
+import { useTranslation } from '../i18n';
+
+const PERIODS = [7, 30, 90];
+const CHART_HEIGHT = 180;
+
+// ─── Pair selector row ────────────────────────────────────────────────────────
+function CurrencyChips({ label, currencies, value, onChange }) {
+  return (
+    <View style={styles.chipBlock}>
+      <Text style={styles.sectionLabel}>{label}</Text>
+      <View style={styles.chipRow}>
+        {currencies.map((c) => (
+          <Chip
+            key={c}
+            selected={value === c}
+            showSelectedOverlay
+            onPress={() => onChange(c)}
+            style={styles.chip}
+          >
+            {getCurrencyInfo(c).flag} {c}
+          </Chip>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+// ─── Bar chart ────────────────────────────────────────────────────────────────
+// Bars are scaled between the period's min and max so small moves stay visible.
+function TrendChart({ points }) {
+  const values = points.map((p) => p.rate);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+
+  return (
+    <View style={styles.chart}>
+      {points.map((p) => (
+        <View key={p.date} style={styles.barSlot}>
+          <View
+            style={[
+              styles.bar,
+              { height: 8 + ((p.rate - min) / span) * (CHART_HEIGHT - 8) },
+            ]}
+          />
+        </View>
+      ))}
+    </View>
+  );
+}
+
+export default function TrendsScreen({ route }) {
+  const isDark = useColorScheme() === 'dark';
+  const t = useTranslation();
+  const [from, setFrom] = useState(route.params?.from ?? 'EUR');
+  const [to, setTo] = useState(route.params?.to ?? 'MGA');
+  const [days, setDays] = useState(30);
+  const [points, setPoints] = useState([]);
+  const [currencies, setCurrencies] = useState(getEnabledCurrencies);
+
+  useFocusEffect(useCallback(() => {
+    setCurrencies(getEnabledCurrencies());
+    setPoints(from === to ? [] : getPairTrend(from, to, days));
+  }, [from, to, days]));
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const changePct = first && last ? ((last.rate - first.rate) / first.rate) * 100 : null;
+  const values = points.map((p) => p.rate);
+
+  return (
+    <ScrollView
+      style={[styles.root, isDark && styles.rootDark]}
+      contentContainerStyle={styles.scroll}
+    >
+      <Surface style={[styles.card, isDark && styles.cardDark]} elevation={2}>
+        <CurrencyChips label={t('common.from')} currencies={currencies} value={from} onChange={setFrom} />
+        <CurrencyChips label={t('common.to')} currencies={currencies} value={to} onChange={setTo} />
+        <SegmentedButtons
+          value={String(days)}
+          onValueChange={(v) => setDays(Number(v))}
+          buttons={PERIODS.map((d) => ({ value: String(d), label: t('trends.days', { days: d }) }))}
+        />
+      </Surface>
+
+      <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+        <Text style={styles.sectionLabel}>
+          {t('trends.title', { from, to, days })}
+        </Text>
+        {points.length < 2 ? (
+          <Text style={styles.emptyText}>{t('trends.notEnough')}</Text>
+        ) : (
+          <>
+            <TrendChart points={points} />
+            <View style={styles.axisRow}>
+              <Text style={styles.axisText}>{first.date}</Text>
+              <Text style={styles.axisText}>{last.date}</Text>
+            </View>
+          </>
+        )}
+      </Surface>
+
+      {points.length >= 2 && (
+        <Surface style={[styles.card, isDark && styles.cardDark]} elevation={1}>
+          <StatRow label={t('trends.first')} value={`${formatAmount(first.rate, to)} ${to}`} />
+          <StatRow label={t('trends.latest')} value={`${formatAmount(last.rate, to)} ${to}`} />
+          <StatRow label={t('trends.low')} value={`${formatAmount(Math.min(...values), to)} ${to}`} />
+          <StatRow label={t('trends.high')} value={`${formatAmount(Math.max(...values), to)} ${to}`} />
+          <StatRow
+            label={t('trends.change')}
+            value={`${changePct >= 0 ? '+' : ''}${changePct.toFixed(2)} %`}
+            color={changePct >= 0 ? '#4CAF50' : '#f44336'}
+          />
+        </Surface>
+      )}
+    </ScrollView>
+  );
+}
+
+function StatRow({ label, value, color }) {
+  return (
+    <View style={styles.statRow}>
+      <Text style={styles.statLabel}>{label}</Text>
+      <Text style={[styles.statValue, color && { color }]}>{value}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  root: { flex: 1, backgroundColor: '#f4f4f8' },
+  rootDark: { backgroundColor: '#0f0f1a' },
+  scroll: { padding: 16, paddingBottom: 32 },
+  card: { borderRadius: 16, padding: 16, marginBottom: 12 },
+  cardDark: { backgroundColor: '#1a1a2e' },
+  sectionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    letterSpacing: 1.5,
+    color: '#999',
+    marginBottom: 10,
+    textTransform: 'uppercase',
+  },
+
+  chipBlock: { marginBottom: 12 },
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 6 },
+  chip: { marginBottom: 2 },
+
+  chart: {
+    height: CHART_HEIGHT,
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 2,
+  },
+  barSlot: { flex: 1, justifyContent: 'flex-end' },
+  bar: { backgroundColor: '#E8352B', borderTopLeftRadius: 3, borderTopRightRadius: 3 },
+  axisRow: { flexDirection: 'row', justifyContent: 'space-between', marginTop: 6 },
+  axisText: { fontSize: 10, color: '#aaa' },
+  emptyText: { fontSize: 14, color: '#999', fontStyle: 'italic' },
+
+  statRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#eee',
+  },
+  statLabel: { fontSize: 13, color: '#999' },
+  statValue: { fontSize: 14, fontWeight: '600', color: '#333' },
+});